@@ -1,9 +1,20 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
 
+// Transações (entrada e saída de clãs em federações) exigem replica set ou mongos;
+// num mongod avulso elas falham em toda requisição, então o servidor nem sobe.
+// Para desenvolvimento local: `mongod --replSet rs0` e `rs.initiate()` no mongosh.
+const assertTransactionSupport = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error('o MongoDB precisa ser um replica set (ou mongos) para suportar transações');
+  }
+};
+
 const connectDB = async () => {
   try {
     await mongoose.connect(process.env.MONGO_URI);
+    await assertTransactionSupport();
     console.log('MongoDB Connected...');
   } catch (err) {
     console.error('MongoDB connection error:', err.message);
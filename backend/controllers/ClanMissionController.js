@@ -5,7 +5,7 @@ const ClanMission = require('../models/ClanMission');
 // Criar nova missão QRR
 exports.createMission = async (req, res) => {
   try {
-    const mission = await ClanMission.create(req.body);
+    const mission = await ClanMission.create({ ...req.body, createdBy: req.user.id });
     res.status(201).json(mission);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -34,14 +34,13 @@ exports.getMission = async (req, res) => {
   }
 };
 
-// Confirmar presença em uma missão
+// Confirmar presença em uma missão (sempre do usuário autenticado)
 exports.confirmPresence = async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId } = req.body;
     const mission = await ClanMission.findByIdAndUpdate(
       id,
-      { $addToSet: { confirmedMembers: userId } },
+      { $addToSet: { confirmedMembers: req.user.id } },
       { new: true }
     );
     res.json(mission);
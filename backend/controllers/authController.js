@@ -1,15 +1,16 @@
 const User = require("../models/User");
-const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const { issueTokenPair, rotateRefreshToken } = require("../services/tokenService");
+const {
+  createSession,
+  getActiveSession,
+  touchSession,
+  revokeSession,
+} = require("../services/sessionService");
+const { checkSuspension } = require("../services/suspensionService");
 require("dotenv").config();
 const { validationResult } = require("express-validator");
 
-// Gera o token JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: "30d",
-  });
-};
-
 // @desc    Cadastrar novo usuário (sem email)
 // @route   POST /api/auth/register
 // @access  Public
@@ -34,11 +35,12 @@ exports.registerUser = async (req, res) => {
 
     await user.save();
 
-    const token = generateToken(user._id);
+    const session = await createSession(user._id, req);
+    const tokens = await issueTokenPair(user._id, { sessionId: session._id, ip: req.ip });
     res.status(201).json({
       _id: user._id,
       username: user.username,
-      token: token,
+      ...tokens,
     });
   } catch (err) {
     console.error("Erro ao registrar:", err.message);
@@ -68,16 +70,22 @@ exports.loginUser = async (req, res) => {
       return res.status(400).json({ msg: "Credenciais inválidas" });
     }
 
+    const suspension = await checkSuspension(user);
+    if (suspension) {
+      return res.status(403).json(suspension);
+    }
+
     // Atualizar lastSeen e online status
     user.lastSeen = new Date();
     user.online = true;
     await user.save();
 
-    const token = generateToken(user._id);
+    const session = await createSession(user._id, req);
+    const tokens = await issueTokenPair(user._id, { sessionId: session._id, ip: req.ip });
     res.json({
       _id: user._id,
       username: user.username,
-      token: token,
+      ...tokens,
       role: user.role, // Incluir o papel do usuário na resposta de login
       clan: user.clan, // Incluir informações do clã
       federation: user.federation // Incluir informações da federação
@@ -88,6 +96,108 @@ exports.loginUser = async (req, res) => {
   }
 };
 
+// @desc    Trocar refresh token por um novo par de tokens
+// @route   POST /api/auth/refresh
+// @access  Public (requer refresh token válido)
+exports.refreshToken = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken, { ip: req.ip });
+    if (tokens && tokens.reused) {
+      await revokeSession(tokens.sessionId, { reason: "token_reuse", io: req.app.get("io") });
+      return res.status(401).json({ msg: "Refresh token reutilizado. Sessão encerrada, faça login novamente." });
+    }
+    if (!tokens) {
+      return res.status(401).json({ msg: "Refresh token inválido ou expirado" });
+    }
+
+    const session = await getActiveSession(tokens.sessionId);
+    if (!session) {
+      return res.status(401).json({ msg: "Sessão encerrada, faça login novamente" });
+    }
+
+    const suspension = await checkSuspension(await User.findById(tokens.userId));
+    if (suspension) {
+      return res.status(403).json(suspension);
+    }
+    await touchSession(session, { ip: req.ip, extend: true });
+
+    const { userId, ...payload } = tokens;
+    res.json({ _id: userId, ...payload });
+  } catch (err) {
+    console.error("Erro ao renovar token:", err.message);
+    res.status(500).send("Erro no servidor");
+  }
+};
+
+// @desc    Encerrar a sessão atual
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logoutUser = async (req, res) => {
+  try {
+    await revokeSession(req.authSession._id, { reason: "logout", io: req.app.get("io") });
+    res.json({ msg: "Sessão encerrada com sucesso" });
+  } catch (err) {
+    console.error("Erro ao encerrar sessão:", err.message);
+    res.status(500).send("Erro no servidor");
+  }
+};
+
+// @desc    Listar sessões ativas do usuário
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("device ip lastUsedAt createdAt expiresAt")
+      .sort({ lastUsedAt: -1 });
+
+    const currentId = req.authSession._id.toString();
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.toString() === currentId,
+      })),
+    });
+  } catch (err) {
+    console.error("Erro ao listar sessões:", err.message);
+    res.status(500).send("Erro no servidor");
+  }
+};
+
+// @desc    Encerrar remotamente uma sessão do usuário
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeUserSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+    if (!session) {
+      return res.status(404).json({ msg: "Sessão não encontrada" });
+    }
+    if (session.revokedAt) {
+      return res.status(400).json({ msg: "Sessão já encerrada" });
+    }
+
+    const isCurrent = session._id.equals(req.authSession._id);
+    await revokeSession(session._id, { reason: isCurrent ? "logout" : "remote", io: req.app.get("io") });
+    res.json({ msg: "Sessão encerrada com sucesso" });
+  } catch (err) {
+    console.error("Erro ao encerrar sessão:", err.message);
+    if (err.kind === "ObjectId") {
+      return res.status(404).json({ msg: "Sessão não encontrada" });
+    }
+    res.status(500).send("Erro no servidor");
+  }
+};
+
 // @desc    Obter perfil do usuário logado
 // @route   GET /api/auth/profile
 // @access  Private
@@ -0,0 +1,183 @@
+const Ban = require("../models/Ban");
+const User = require("../models/User");
+const Invite = require("../models/Invite");
+const { check, validationResult } = require("express-validator");
+const { can, clanRoleOf, federationRoleOf } = require("../services/policyService");
+const { removeMember } = require("../services/clanService");
+const { banUser, unbanUser, liftExpiredBans } = require("../services/banService");
+const { leaveScopeRoom } = require("../utils/socketRooms");
+
+/**
+ * Handlers de ban compartilhados pelos escopos clã, federação, canal e chat global.
+ * A rota carrega o alvo antes (authorize + loadClan/loadFederation/loadChannel/loadGlobalChannel);
+ * cada escopo define quem não pode ser banido e o que acontece ao banir.
+ */
+const SCOPES = {
+  clan: {
+    target: (req) => req.clan,
+    // Retorna uma mensagem de erro se o alvo não puder ser banido pelo usuário
+    guard: (req, userId) => {
+      const targetRole = clanRoleOf(req.clan, userId);
+      if (targetRole === "leader") return "Não é possível banir o líder do clã.";
+      if (targetRole === "subLeader" && !can(req.user, "clan.banSubLeader", { clan: req.clan })) {
+        return "Apenas líder ou sub-líder podem banir sub-líderes.";
+      }
+      return null;
+    },
+    // Banir também expulsa e cancela convites/solicitações pendentes
+    onBan: async (req, user) => {
+      const clan = req.clan;
+      if (clanRoleOf(clan, user._id)) {
+        await removeMember(clan, user, { io: req.app.get("io") });
+      }
+      await Invite.updateMany(
+        { type: "clan", target: clan._id, status: "pending", $or: [{ recipient: user._id }, { sender: user._id }] },
+        { $set: { status: "cancelled", respondedBy: req.user.id, respondedAt: new Date() } }
+      );
+    },
+  },
+  federation: {
+    target: (req) => req.federation,
+    guard: (req, userId) => {
+      const targetRole = federationRoleOf(req.federation, { _id: userId });
+      if (targetRole === "leaderMax") return "Não é possível banir a liderança máxima da federação.";
+      if (targetRole === "subLeader" && !can(req.user, "federation.banSubLeader", { federation: req.federation })) {
+        return "Apenas a liderança máxima pode banir sub-líderes.";
+      }
+      return null;
+    },
+    onBan: async (req, user) => {
+      const federation = req.federation;
+      const userId = user._id.toString();
+      federation.subLeaders = federation.subLeaders.filter(id => id.toString() !== userId);
+      federation.members = federation.members.filter(id => id.toString() !== userId);
+      await federation.save();
+      // Desvincula da federação (quem é membro pelo clã continua barrado pelo ban)
+      if (String(user.federation) === String(federation._id)) {
+        user.federation = null;
+        user.federationRole = null;
+        await user.save();
+      }
+      leaveScopeRoom(req.app.get("io"), user._id, "federation", federation._id);
+    },
+  },
+  channel: {
+    target: (req) => req.channel,
+    guard: (req, userId) => (req.channel.owner.toString() === userId ? "Não é possível banir o dono do canal." : null),
+    onBan: async (req, user) => {
+      const channel = req.channel;
+      const userId = user._id.toString();
+      channel.members = channel.members.filter(id => id.toString() !== userId);
+      channel.memberRoles = channel.memberRoles.filter(mr => mr.user.toString() !== userId);
+      await channel.save();
+      leaveScopeRoom(req.app.get("io"), user._id, "channel", channel._id);
+    },
+  },
+  global: {
+    target: (req) => req.globalChannel,
+    guard: (req, userId) =>
+      (req.globalChannel.moderators.some(id => id.toString() === userId) ? "Não é possível banir um moderador do chat." : null),
+    // Sai da sala do chat; o histórico continua público
+    onBan: async (req, user) => {
+      leaveScopeRoom(req.app.get("io"), user._id, "global", req.globalChannel._id);
+    },
+  },
+};
+
+// Validação do corpo de POST .../bans
+exports.banRules = [
+  check("userId", "ID do usuário é obrigatório").isMongoId(),
+  check("duration", "Duração inválida (em dias, maior que zero)").optional({ nullable: true }).isFloat({ gt: 0 }),
+];
+
+// @desc    Listar bans do escopo (?status=active|all, padrão active)
+// @route   GET /api/{clans|federations|channels}/:id/bans | /api/global-chat/:channelId/bans
+exports.listBans = (targetType) => async (req, res) => {
+  const target = SCOPES[targetType].target(req);
+
+  try {
+    await liftExpiredBans({ targetType, targetId: target._id });
+
+    const filter = { targetType, targetId: target._id };
+    if (req.query.status !== "all") filter.active = true;
+
+    const bans = await Ban.find(filter)
+      .populate("user", "username avatar")
+      .populate("bannedBy", "username")
+      .populate("liftedBy", "username")
+      .sort({ startAt: -1 });
+
+    res.json({ success: true, data: bans });
+  } catch (error) {
+    console.error("Erro ao listar bans:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+};
+
+// @desc    Banir um usuário do escopo (body: userId, reason, duration em dias; sem duração = permanente)
+// @route   POST /api/{clans|federations|channels}/:id/bans | /api/global-chat/:channelId/bans
+exports.createBan = (targetType) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const scope = SCOPES[targetType];
+  const target = scope.target(req);
+  const { userId, reason, duration } = req.body;
+
+  try {
+    if (userId === req.user.id) {
+      return res.status(400).json({ msg: "Você não pode banir a si mesmo." });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ msg: "Usuário não encontrado." });
+    }
+
+    const guardError = scope.guard(req, userId);
+    if (guardError) {
+      return res.status(403).json({ msg: guardError });
+    }
+
+    const ban = await banUser({
+      userId,
+      targetType,
+      targetId: target._id,
+      reason,
+      endAt: duration ? new Date(Date.now() + Number(duration) * 24 * 60 * 60 * 1000) : null,
+      bannedBy: req.user.id,
+      io: req.app.get("io"),
+    });
+    await scope.onBan(req, user);
+
+    res.status(201).json({ success: true, msg: "Usuário banido com sucesso!", data: ban });
+  } catch (error) {
+    console.error("Erro ao banir usuário:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+};
+
+// @desc    Remover o ban ativo de um usuário
+// @route   DELETE /api/{clans|federations|channels}/:id/bans/:userId | /api/global-chat/:channelId/bans/:userId
+exports.removeBan = (targetType) => async (req, res) => {
+  const target = SCOPES[targetType].target(req);
+
+  try {
+    const lifted = await unbanUser({
+      userId: req.params.userId,
+      targetType,
+      targetId: target._id,
+      liftedBy: req.user.id,
+    });
+    if (!lifted) {
+      return res.status(404).json({ msg: "Ban ativo não encontrado." });
+    }
+
+    res.json({ success: true, msg: "Ban removido com sucesso!" });
+  } catch (error) {
+    console.error("Erro ao remover ban:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+};
@@ -1,7 +1,9 @@
 const Channel = require("../models/Channel");
 const User = require("../models/User");
-const Message = require("../models/Message");
 const { validationResult } = require("express-validator");
+const { checkBan } = require("../services/banService");
+const { pageMessages } = require("../services/messageHistoryService");
+const { leaveScopeRoom } = require("../utils/socketRooms");
 
 // @desc    Create a new channel
 // @route   POST /api/channels
@@ -96,6 +98,12 @@ exports.joinChannel = async (req, res) => {
       return res.status(400).json({ msg: "User already in this channel" });
     }
 
+    // Banned users cannot rejoin until the ban is lifted or expires
+    const ban = await checkBan(req.user.id, "channel", channel._id);
+    if (ban) {
+      return res.status(403).json(ban);
+    }
+
     // Add user to members list
     channel.members.push(req.user.id);
     await channel.save();
@@ -147,7 +155,8 @@ exports.leaveChannel = async (req, res) => {
 
     await channel.save();
 
-    // Optionally, emit an event via Socket.IO to notify other members
+    // Stop delivering real-time messages to every device of the user
+    leaveScopeRoom(req.app.get("io"), req.user.id, "channel", channel._id);
 
     res.json({ msg: "Successfully left channel", members: channel.members });
   } catch (err) {
@@ -174,12 +183,13 @@ exports.getChannelMessages = async (req, res) => {
        return res.status(403).json({ msg: "Not authorized to view messages for this channel" });
     }
 
-    // Fetch messages, sort by timestamp, potentially add pagination
-    const messages = await Message.find({ channel: req.params.id })
-      .populate("sender", "username") // Populate sender's username
-      .sort({ timestamp: 1 }); // Sort oldest first
+    // Cursor pagination (?before=&after=&limit=), oldest first within the page
+    const { error, messages, pagination } = await pageMessages("channel", channel._id, req.query, req.user.id);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
 
-    res.json(messages);
+    res.json({ success: true, messages, pagination });
   } catch (err) {
     console.error("Get channel messages error:", err.message);
     if (err.kind === "ObjectId") {
@@ -189,5 +199,5 @@ exports.getChannelMessages = async (req, res) => {
   }
 };
 
-// Note: Sending messages will be handled primarily via Socket.IO for real-time updates,
-// but the getChannelMessages endpoint provides history retrieval.
+// Note: Sending messages is handled via Socket.IO (join_channel / send_message in server.js),
+// while the getChannelMessages endpoint provides history retrieval.
@@ -1,27 +1,38 @@
 const ClanChatMessage = require("../models/ClanChatMessage");
-const Clan = require("../models/Clan"); // Usando seu modelo real de clan
+const { checkBan } = require("../services/banService");
+const { membershipOf } = require("../services/membershipService");
+const { can } = require("../services/policyService");
+const { pageMessages } = require("../services/messageHistoryService");
+const { claimAttachment, releaseAttachment } = require("../services/attachmentService");
+const { presentMessage } = require("../services/messageService");
+const { referenceFields, registerReply } = require("../services/threadService");
+const { clanRoom } = require("../utils/socketRooms");
 
-// Helper para checar se o usuário é membro do clã (líder, sub ou membro)
-async function isClanMember(userId, clanId) {
-  const clan = await Clan.findById(clanId);
-  if (!clan) return false;
-  // Supondo que clan.lideres, clan.sublideres, clan.membros são arrays de ObjectId
-  return (
-    (clan.lideres || []).map(id => id.toString()).includes(userId.toString()) ||
-    (clan.sublideres || []).map(id => id.toString()).includes(userId.toString()) ||
-    (clan.membros || []).map(id => id.toString()).includes(userId.toString())
-  );
+// Acesso ao chat pela política clan.chat (membros do clã e ADM). Retorna [status, corpo] ou null.
+async function chatAccessError(req, clanId, deniedMsg) {
+  const clan = await membershipOf(req).clan(clanId);
+  if (!clan) return [404, { error: "Clã não encontrado." }];
+  if (!can(req.user, "clan.chat", { clan })) {
+    return [403, { error: deniedMsg }];
+  }
+  return null;
 }
 
 // Enviar mensagem no chat do clã
 exports.sendMessage = async (req, res) => {
   try {
     const { clanId } = req.params;
-    const { message, type, fileUrl } = req.body;
+    const { message, type, fileUrl, attachmentId, replyToId, quoteId } = req.body;
     const userId = req.user.id;
 
-    if (!(await isClanMember(userId, clanId))) {
-      return res.status(403).json({ error: "Permissão negada: só membros do clã podem enviar mensagens." });
+    const denied = await chatAccessError(req, clanId, "Permissão negada: só membros do clã podem enviar mensagens.");
+    if (denied) {
+      return res.status(denied[0]).json(denied[1]);
+    }
+
+    const ban = await checkBan(userId, "clan", clanId);
+    if (ban) {
+      return res.status(403).json({ error: ban.msg, ...ban });
     }
 
     const chatMessage = new ClanChatMessage({
@@ -32,19 +43,35 @@ exports.sendMessage = async (req, res) => {
       fileUrl: fileUrl || null,
     });
 
-    await chatMessage.save();
+    // Resposta em fio (replyToId) ou citação (quoteId) de outra mensagem do chat
+    const reference = await referenceFields("clan", clanId, { replyToId, quoteId });
+    if (reference.error) {
+      return res.status(400).json({ error: reference.error });
+    }
+    chatMessage.set(reference.fields);
+
+    // Anexo enviado por POST /attachments: tipo e URL vêm dele
+    if (attachmentId) {
+      const { error, fields } = await claimAttachment("clan", clanId, userId, attachmentId, chatMessage._id);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      chatMessage.set(fields);
+    }
+
+    try {
+      await chatMessage.save();
+    } catch (error) {
+      if (attachmentId) await releaseAttachment(attachmentId);
+      throw error;
+    }
 
-    // (Opcional) Emitir evento via Socket.IO para membros online
-    if (req.io) {
-      req.io.to(`clan_${clanId}`).emit("clan_chat_message", {
-        _id: chatMessage._id,
-        sender: userId,
-        message,
-        type: chatMessage.type,
-        fileUrl: chatMessage.fileUrl,
-        timestamp: chatMessage.timestamp,
-      });
+    // (Opcional) Emitir evento via Socket.IO para membros online (mesmo formato das outras mensagens).
+    // Resposta em fio não entra no chat principal: chega só por thread_reply.
+    if (req.io && !chatMessage.threadRoot) {
+      req.io.to(clanRoom(clanId)).emit("clan_chat_message", presentMessage(chatMessage));
     }
+    await registerReply(req.io, "clan", chatMessage);
 
     res.json({ success: true, chatMessage });
   } catch (error) {
@@ -52,24 +79,22 @@ exports.sendMessage = async (req, res) => {
   }
 };
 
-// Buscar mensagens do chat do clã (com paginação)
+// Buscar mensagens do chat do clã (paginação por cursor: before/after/limit)
 exports.getMessages = async (req, res) => {
   try {
     const { clanId } = req.params;
-    const userId = req.user.id;
-    const { page = 1, limit = 30 } = req.query;
 
-    if (!(await isClanMember(userId, clanId))) {
-      return res.status(403).json({ error: "Permissão negada: só membros do clã podem ver o chat." });
+    const denied = await chatAccessError(req, clanId, "Permissão negada: só membros do clã podem ver o chat.");
+    if (denied) {
+      return res.status(denied[0]).json(denied[1]);
     }
 
-    const messages = await ClanChatMessage.find({ clan: clanId })
-      .sort({ timestamp: -1 })
-      .skip((page - 1) * limit)
-      .limit(Number(limit))
-      .populate("sender", "username fotoPerfil");
+    const { error, messages, pagination } = await pageMessages("clan", clanId, req.query, req.user.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    res.json({ success: true, messages });
+    res.json({ success: true, messages, pagination });
   } catch (error) {
     res.status(500).json({ error: "Erro ao buscar mensagens" });
   }
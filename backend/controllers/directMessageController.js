@@ -0,0 +1,152 @@
+const { membershipOf } = require("../services/membershipService");
+const { loadChatTarget, canParticipate, isParticipant, findScopedMessage, presentMessage } = require("../services/messageService");
+const { pageMessages } = require("../services/messageHistoryService");
+const {
+  openConversation,
+  sendDirectMessage,
+  publishDirectMessage,
+  listConversations,
+  reportMessage,
+  listReportedConversations,
+  resolveReports,
+} = require("../services/directMessageService");
+const { registerReply } = require("../services/threadService");
+
+/**
+ * Rotas próprias das conversas privadas (/api/dms). Edição, exclusão, reações,
+ * leitura, sincronização e anexos usam os handlers de messageController com o
+ * kind "direct".
+ */
+
+// Carrega a conversa conferindo o acesso. Retorna a conversa ou responde o erro e retorna null.
+// `participantOnly`: exige ser um dos dois participantes (ADM revisando denúncia não envia nem denuncia).
+const loadConversation = async (req, res, { participantOnly = false } = {}) => {
+  const conversation = await loadChatTarget("direct", req.params.conversationId, membershipOf(req));
+  const allowed = conversation &&
+    (participantOnly ? isParticipant(conversation, req.user._id) : canParticipate("direct", req.user, conversation));
+  if (!allowed) {
+    // Conversa alheia responde como inexistente
+    res.status(404).json({ error: "Conversa não encontrada." });
+    return null;
+  }
+  return conversation;
+};
+
+// @desc    Listar as conversas do usuário (mais recentes primeiro, com não lidas)
+// @route   GET /api/dms?before=&limit=
+exports.listConversations = async (req, res) => {
+  try {
+    const { error, conversations, pagination } = await listConversations(req.user, req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ success: true, conversations, pagination });
+  } catch (error) {
+    console.error("Erro ao listar conversas:", error);
+    res.status(500).json({ error: "Erro ao listar conversas" });
+  }
+};
+
+// @desc    Abrir (ou obter a existente) conversa com outro usuário (body: userId)
+// @route   POST /api/dms
+exports.openConversation = async (req, res) => {
+  try {
+    const { error, status, conversation, created } = await openConversation(req.user, req.body.userId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.status(created ? 201 : 200).json({ success: true, conversation });
+  } catch (error) {
+    console.error("Erro ao abrir conversa:", error);
+    res.status(500).json({ error: "Erro ao abrir conversa" });
+  }
+};
+
+// @desc    Enviar mensagem (body: message e/ou attachmentId; replyToId ou quoteId)
+// @route   POST /api/dms/:conversationId/message
+exports.sendMessage = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res, { participantOnly: true });
+    if (!conversation) return;
+
+    const { error, status, message } = await sendDirectMessage(conversation, req.user, req.body);
+    if (error) {
+      return res.status(status || 400).json({ error });
+    }
+
+    publishDirectMessage(req.app.get("io"), message);
+    await registerReply(req.app.get("io"), "direct", message);
+    res.status(201).json({ success: true, message: presentMessage(message, req.user.id) });
+  } catch (error) {
+    console.error("Erro ao enviar mensagem privada:", error);
+    res.status(500).json({ error: "Erro ao enviar mensagem" });
+  }
+};
+
+// @desc    Histórico da conversa (paginação por cursor: before/after/limit)
+// @route   GET /api/dms/:conversationId/messages
+exports.getMessages = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const { error, messages, pagination } = await pageMessages("direct", conversation._id, req.query, req.user.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ success: true, messages, pagination });
+  } catch (error) {
+    console.error("Erro ao buscar mensagens privadas:", error);
+    res.status(500).json({ error: "Erro ao buscar mensagens" });
+  }
+};
+
+// @desc    Denunciar uma mensagem (body: reason); libera a conversa para revisão de ADM
+// @route   POST /api/dms/:conversationId/messages/:messageId/report
+exports.reportMessage = async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res, { participantOnly: true });
+    if (!conversation) return;
+
+    const message = await findScopedMessage("direct", conversation._id, req.params.messageId);
+    if (!message) {
+      return res.status(404).json({ error: "Mensagem não encontrada." });
+    }
+
+    const { error } = await reportMessage(conversation, message, req.user._id, req.body.reason);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.status(201).json({ success: true, message: "Denúncia registrada." });
+  } catch (error) {
+    console.error("Erro ao denunciar mensagem:", error);
+    res.status(500).json({ error: "Erro ao denunciar mensagem" });
+  }
+};
+
+// @desc    Conversas com denúncias pendentes (ADM)
+// @route   GET /api/dms/reported
+exports.listReported = async (req, res) => {
+  try {
+    const conversations = await listReportedConversations();
+    res.json({ success: true, conversations });
+  } catch (error) {
+    console.error("Erro ao listar conversas denunciadas:", error);
+    res.status(500).json({ error: "Erro ao listar conversas denunciadas" });
+  }
+};
+
+// @desc    Resolver as denúncias pendentes (a conversa volta a ficar oculta para ADM)
+// @route   DELETE /api/dms/:conversationId/reports
+exports.resolveReports = async (req, res) => {
+  try {
+    const conversation = await resolveReports(req.params.conversationId, req.user._id);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversa não encontrada." });
+    }
+    res.json({ success: true, message: "Denúncias resolvidas." });
+  } catch (error) {
+    console.error("Erro ao resolver denúncias:", error);
+    res.status(500).json({ error: "Erro ao resolver denúncias" });
+  }
+};
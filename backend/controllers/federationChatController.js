@@ -1,28 +1,44 @@
 const FederationChatMessage = require("../models/FederationChatMessage");
-const Federation = require("../models/Federation");
-const User = require("../models/User");
+const { checkBan } = require("../services/banService");
+const { membershipOf } = require("../services/membershipService");
+const { can } = require("../services/policyService");
+const { pageMessages } = require("../services/messageHistoryService");
+const { claimAttachment, releaseAttachment } = require("../services/attachmentService");
+const { presentMessage } = require("../services/messageService");
+const { referenceFields, registerReply } = require("../services/threadService");
+const { federationRoom } = require("../utils/socketRooms");
 
-// Helper para checar permissão de líder/sublíder
-async function isLeaderOrSubleader(userId, federationId) {
-  const federation = await Federation.findById(federationId);
-  if (!federation) return false;
-  // Supondo que federation.lideres e federation.sublideres são arrays de ObjectId
-  return (
-    federation.lideres.map(id => id.toString()).includes(userId.toString()) ||
-    federation.sublideres.map(id => id.toString()).includes(userId.toString())
-  );
+/**
+ * Acesso ao chat da federação pela política (ADM sempre pode). `action` é a ação
+ * exigida: federation.sendChat para enviar, federation.chat para ler.
+ * Retorna [status, corpo] ou null.
+ */
+async function chatAccessError(req, federationId, action, deniedMsg) {
+  const federation = await membershipOf(req).federation(federationId);
+  if (!federation) return [404, { error: "Federação não encontrada." }];
+  if (!can(req.user, action, { federation })) {
+    return [403, { error: deniedMsg }];
+  }
+  return null;
 }
 
 // Enviar mensagem no chat da federação
 exports.sendMessage = async (req, res) => {
   try {
     const { federationId } = req.params;
-    const { message, type, fileUrl } = req.body;
+    const { message, type, fileUrl, attachmentId, replyToId, quoteId } = req.body;
     const userId = req.user.id;
 
-    // Permissão: só líder ou sublíder da federação
-    if (!(await isLeaderOrSubleader(userId, federationId))) {
-      return res.status(403).json({ error: "Permissão negada: só líderes e sublíderes podem enviar mensagens." });
+    // Permissão: só líder máximo ou sub-líder da federação
+    const denied = await chatAccessError(req, federationId, "federation.sendChat",
+      "Permissão negada: só líderes e sublíderes podem enviar mensagens.");
+    if (denied) {
+      return res.status(denied[0]).json(denied[1]);
+    }
+
+    const ban = await checkBan(userId, "federation", federationId);
+    if (ban) {
+      return res.status(403).json({ error: ban.msg, ...ban });
     }
 
     const chatMessage = new FederationChatMessage({
@@ -33,19 +49,35 @@ exports.sendMessage = async (req, res) => {
       fileUrl: fileUrl || null,
     });
 
-    await chatMessage.save();
+    // Resposta em fio (replyToId) ou citação (quoteId) de outra mensagem do chat
+    const reference = await referenceFields("federation", federationId, { replyToId, quoteId });
+    if (reference.error) {
+      return res.status(400).json({ error: reference.error });
+    }
+    chatMessage.set(reference.fields);
+
+    // Anexo enviado por POST /attachments: tipo e URL vêm dele
+    if (attachmentId) {
+      const { error, fields } = await claimAttachment("federation", federationId, userId, attachmentId, chatMessage._id);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      chatMessage.set(fields);
+    }
+
+    try {
+      await chatMessage.save();
+    } catch (error) {
+      if (attachmentId) await releaseAttachment(attachmentId);
+      throw error;
+    }
 
-    // (Opcional) Emitir evento via Socket.IO para membros online
-    if (req.io) {
-      req.io.to(`federation_${federationId}`).emit("federation_chat_message", {
-        _id: chatMessage._id,
-        sender: userId,
-        message,
-        type: chatMessage.type,
-        fileUrl: chatMessage.fileUrl,
-        timestamp: chatMessage.timestamp,
-      });
+    // (Opcional) Emitir evento via Socket.IO para membros online (mesmo formato das outras mensagens).
+    // Resposta em fio não entra no chat principal: chega só por thread_reply.
+    if (req.io && !chatMessage.threadRoot) {
+      req.io.to(federationRoom(federationId)).emit("federation_chat_message", presentMessage(chatMessage));
     }
+    await registerReply(req.io, "federation", chatMessage);
 
     res.json({ success: true, chatMessage });
   } catch (error) {
@@ -53,25 +85,29 @@ exports.sendMessage = async (req, res) => {
   }
 };
 
-// Buscar mensagens do chat da federação (com paginação)
+// Buscar mensagens do chat da federação (paginação por cursor: before/after/limit)
 exports.getMessages = async (req, res) => {
   try {
     const { federationId } = req.params;
-    const userId = req.user.id;
-    const { page = 1, limit = 30 } = req.query;
 
-    // Permissão: só líder ou sublíder da federação
-    if (!(await isLeaderOrSubleader(userId, federationId))) {
-      return res.status(403).json({ error: "Permissão negada: só líderes e sublíderes podem ver o chat." });
+    // Permissão: qualquer membro da federação (inclusive pelos clãs) pode ler
+    const denied = await chatAccessError(req, federationId, "federation.chat",
+      "Permissão negada: só membros da federação podem ver o chat.");
+    if (denied) {
+      return res.status(denied[0]).json(denied[1]);
     }
 
-    const messages = await FederationChatMessage.find({ federation: federationId })
-      .sort({ timestamp: -1 })
-      .skip((page - 1) * limit)
-      .limit(Number(limit))
-      .populate("sender", "username fotoPerfil");
+    const ban = await checkBan(req.user.id, "federation", federationId);
+    if (ban) {
+      return res.status(403).json({ error: ban.msg, ...ban });
+    }
+
+    const { error, messages, pagination } = await pageMessages("federation", federationId, req.query, req.user.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    res.json({ success: true, messages });
+    res.json({ success: true, messages, pagination });
   } catch (error) {
     res.status(500).json({ error: "Erro ao buscar mensagens" });
   }
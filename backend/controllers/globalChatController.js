@@ -0,0 +1,145 @@
+const { checkBan } = require("../services/banService");
+const { pageMessages } = require("../services/messageHistoryService");
+const { presentMessage } = require("../services/messageService");
+const {
+  loadGlobalChatChannel,
+  sendGlobalMessage,
+  publishGlobalMessage,
+  presentChatSettings,
+  setSlowMode,
+  addModerator,
+  removeModerator,
+} = require("../services/globalChatService");
+const { registerReply } = require("../services/threadService");
+const { globalChatRoom } = require("../utils/socketRooms");
+
+/**
+ * Rotas próprias do chat global (/api/global-chat). Edição, exclusão, reações,
+ * leitura, sincronização, anexos e bans usam os handlers compartilhados com o
+ * kind "global".
+ */
+
+// Canal de :channelId ou, nas rotas sem ID (/message e /messages), de channelId no corpo/query ou o padrão.
+// Retorna o canal ou responde 404 e retorna null.
+const loadChannel = async (req, res) => {
+  const channelId = req.params.channelId || req.query.channelId || (req.body && req.body.channelId);
+  const channel = await loadGlobalChatChannel(channelId);
+  if (!channel) {
+    res.status(404).json({ error: "Canal global não encontrado." });
+    return null;
+  }
+  return channel;
+};
+
+// Formato das rotas sem ID, lido pelo app (lib/services/chat_service.dart, Message.fromMap):
+// a mensagem em si, com remetente e data também em senderId, senderName e createdAt
+const appMessage = (message) => ({
+  ...message,
+  senderId: message.sender && message.sender._id ? message.sender._id : message.sender,
+  senderName: message.sender && message.sender.username,
+  createdAt: message.timestamp,
+});
+
+// @desc    Configurações do chat do canal (modo lento, moderadores, se o usuário modera)
+// @route   GET /api/global-chat/:channelId
+exports.getChat = async (req, res) => {
+  try {
+    const channel = await loadChannel(req, res);
+    if (!channel) return;
+
+    res.json({ success: true, channel: presentChatSettings(channel, req.user) });
+  } catch (error) {
+    console.error("Erro ao buscar chat global:", error);
+    res.status(500).json({ error: "Erro ao buscar chat global" });
+  }
+};
+
+// @desc    Enviar mensagem (body: message, attachmentId ou fileUrl + type, replyToId ou quoteId; channelId nas rotas sem ID).
+//          Com `app`, responde só a mensagem (rota sem ID usada pelo app).
+// @route   POST /api/global-chat/:channelId/message | /api/global-chat/message
+exports.sendMessage = ({ app = false } = {}) => async (req, res) => {
+  try {
+    const channel = await loadChannel(req, res);
+    if (!channel) return;
+
+    const ban = await checkBan(req.user.id, "global", channel._id);
+    if (ban) {
+      return res.status(403).json({ error: ban.msg, ...ban });
+    }
+
+    const { error, status, retryAfter, message } = await sendGlobalMessage(channel, req.user, req.body);
+    if (error) {
+      if (retryAfter) res.set("Retry-After", String(retryAfter));
+      return res.status(status || 400).json({ error, retryAfter });
+    }
+
+    publishGlobalMessage(req.app.get("io"), message);
+    await registerReply(req.app.get("io"), "global", message);
+    const presented = presentMessage(message, req.user.id);
+    res.status(201).json(app ? appMessage(presented) : { success: true, message: presented });
+  } catch (error) {
+    console.error("Erro ao enviar mensagem no chat global:", error);
+    res.status(500).json({ error: "Erro ao enviar mensagem" });
+  }
+};
+
+// @desc    Histórico do chat (paginação por cursor: before/after/limit). Com `app`, responde só a lista de mensagens.
+// @route   GET /api/global-chat/:channelId/messages | /api/global-chat/messages?channelId=
+exports.getMessages = ({ app = false } = {}) => async (req, res) => {
+  try {
+    const channel = await loadChannel(req, res);
+    if (!channel) return;
+
+    const { error, messages, pagination } = await pageMessages("global", channel._id, req.query, req.user.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (app) {
+      return res.json(messages.map(appMessage));
+    }
+    res.json({ success: true, channel: presentChatSettings(channel, req.user), messages, pagination });
+  } catch (error) {
+    console.error("Erro ao buscar mensagens do chat global:", error);
+    res.status(500).json({ error: "Erro ao buscar mensagens" });
+  }
+};
+
+// @desc    Ajustar o modo lento (body: seconds, 0 desliga). Moderadores e ADM.
+// @route   PUT /api/global-chat/:channelId/slow-mode
+exports.updateSlowMode = async (req, res) => {
+  try {
+    const { error, channel } = await setSlowMode(req.globalChannel, req.body.seconds);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const io = req.app.get("io");
+    if (io) {
+      io.to(globalChatRoom(channel._id)).emit("global_chat_settings", {
+        channelId: channel._id,
+        slowModeSeconds: channel.slowModeSeconds,
+      });
+    }
+    res.json({ success: true, channel: presentChatSettings(channel, req.user) });
+  } catch (error) {
+    console.error("Erro ao ajustar modo lento:", error);
+    res.status(500).json({ error: "Erro ao ajustar modo lento" });
+  }
+};
+
+// @desc    Adicionar ou remover moderador do chat (ADM)
+// @route   PUT    /api/global-chat/:channelId/moderators/:userId
+// @route   DELETE /api/global-chat/:channelId/moderators/:userId
+exports.updateModerator = (action) => async (req, res) => {
+  try {
+    const apply = action === "added" ? addModerator : removeModerator;
+    const { error, status, channel } = await apply(req.globalChannel, req.params.userId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json({ success: true, moderators: channel.moderators });
+  } catch (error) {
+    console.error("Erro ao atualizar moderadores do chat global:", error);
+    res.status(500).json({ error: "Erro ao atualizar moderadores" });
+  }
+};
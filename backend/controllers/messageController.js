@@ -0,0 +1,318 @@
+const multer = require("multer");
+const rateLimit = require("express-rate-limit");
+const { membershipOf } = require("../services/membershipService");
+const { checkBan } = require("../services/banService");
+const {
+  MESSAGE_KINDS,
+  EDIT_WINDOW_MINUTES,
+  loadChatTarget,
+  canParticipate,
+  canSend,
+  canModerate,
+  canInteract,
+  findScopedMessage,
+  editMessage,
+  deleteMessage,
+  reactToMessage,
+  presentMessage,
+  broadcastMessageChange,
+} = require("../services/messageService");
+const { markReadUpTo, readState, publishReadState } = require("../services/readCursorService");
+const { changesSince } = require("../services/messageHistoryService");
+const { loadThread, unregisterReply } = require("../services/threadService");
+const {
+  MAX_UPLOAD_BYTES,
+  presentAttachment,
+  storeAttachment,
+  storeVoiceNote,
+  findScopedAttachment,
+  attachmentFilePath,
+} = require("../services/attachmentService");
+
+/**
+ * Handlers compartilhados pelos chats de canal, clã, federação, conversas privadas e chat global (edição,
+ * exclusão, reações, leitura, sincronização e anexos). As regras de quem participa e quem modera ficam em
+ * services/messageService.js; aqui só muda de onde vem o ID do escopo.
+ */
+// `bans`: o que o ban do escopo bloqueia — "all" (o chat inteiro) ou "writes" (no chat global o histórico
+// é público; o ban barra só o que grava: envio, edição, reações, leitura e anexos)
+const SCOPES = {
+  channel: { scopeId: (req) => req.params.id, label: "Canal não encontrado.", bans: "all" },
+  clan: { scopeId: (req) => req.params.clanId, label: "Clã não encontrado.", bans: "all" },
+  federation: { scopeId: (req) => req.params.federationId, label: "Federação não encontrada.", bans: "all" },
+  // Conversa privada alheia responde como inexistente
+  direct: { scopeId: (req) => req.params.conversationId, label: "Conversa não encontrada.", hidden: true },
+  global: { scopeId: (req) => req.params.channelId, label: "Canal global não encontrado.", bans: "writes" },
+};
+
+// Carrega o escopo conferindo a participação (com `interacts`, se pode reagir e marcar como lido;
+// com `writes`, a ação grava algo e também esbarra no ban "writes"). Retorna o alvo ou responde o erro e retorna null.
+const loadTarget = async (kind, req, res, { interacts = false, writes = interacts } = {}) => {
+  const scope = SCOPES[kind];
+  const target = await loadChatTarget(kind, scope.scopeId(req), membershipOf(req));
+  if (!target) {
+    res.status(404).json({ error: scope.label });
+    return null;
+  }
+  const allowed = interacts ? canInteract(kind, req.user, target) : canParticipate(kind, req.user, target);
+  if (!allowed) {
+    if (scope.hidden) res.status(404).json({ error: scope.label });
+    else res.status(403).json({ error: "Permissão negada: você não participa deste chat." });
+    return null;
+  }
+  // Membro da federação pelo clã continua "participando" mesmo banido: o ban é conferido à parte
+  if (scope.bans === "all" || (writes && scope.bans === "writes")) {
+    const ban = await checkBan(req.user.id, kind, target._id);
+    if (ban) {
+      res.status(403).json({ error: ban.msg, ...ban });
+      return null;
+    }
+  }
+  return target;
+};
+
+// Arquivo em memória: o tipo é validado pelos bytes antes de ir para o disco
+const receiveFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+}).single("file");
+
+// Uploads por usuário (não por IP), somando anexos e notas de voz de todos os chats
+const uploadLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.CHAT_UPLOADS_PER_15_MIN) || 60,
+  keyGenerator: (req) => req.user.id,
+  message: { error: "Muitos uploads em pouco tempo. Tente novamente em alguns minutos." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const parseUpload = (req, res) =>
+  new Promise((resolve, reject) => receiveFile(req, res, error => (error ? reject(error) : resolve())));
+
+// Carrega escopo e mensagem. Retorna { target, message } ou responde o erro e retorna null.
+const loadMessage = async (kind, req, res, options) => {
+  const target = await loadTarget(kind, req, res, options);
+  if (!target) return null;
+
+  const message = await findScopedMessage(kind, target._id, req.params.messageId);
+  if (!message) {
+    res.status(404).json({ error: "Mensagem não encontrada." });
+    return null;
+  }
+  return { target, message };
+};
+
+// @desc    Editar o texto de uma mensagem (autor, dentro de MESSAGE_EDIT_WINDOW_MINUTES)
+// @route   PUT /api/{channels/:id|clan-chat/:clanId|federation-chat/:federationId}/messages/:messageId
+exports.editMessage = (kind) => async (req, res) => {
+  try {
+    const loaded = await loadMessage(kind, req, res, { writes: true });
+    if (!loaded) return;
+    const { message } = loaded;
+
+    if (message.sender.toString() !== req.user.id) {
+      return res.status(403).json({ error: "Permissão negada: só o autor pode editar a mensagem." });
+    }
+
+    // Mesmo campo usado no envio: "content" nos canais, "message" nos chats de clã/federação
+    const error = await editMessage(kind, message, req.body[MESSAGE_KINDS[kind].textField]);
+    if (error) {
+      return res.status(400).json({ error, editWindowMinutes: EDIT_WINDOW_MINUTES });
+    }
+
+    broadcastMessageChange(req.app.get("io"), kind, "message_updated", message);
+    res.json({ success: true, message: presentMessage(message, req.user.id) });
+  } catch (error) {
+    console.error("Erro ao editar mensagem:", error);
+    res.status(500).json({ error: "Erro ao editar mensagem" });
+  }
+};
+
+// @desc    Apagar uma mensagem (autor ou moderador); fica um marcador no histórico
+// @route   DELETE /api/{channels/:id|clan-chat/:clanId|federation-chat/:federationId}/messages/:messageId
+exports.deleteMessage = (kind) => async (req, res) => {
+  try {
+    const loaded = await loadMessage(kind, req, res);
+    if (!loaded) return;
+    const { target, message } = loaded;
+
+    if (message.deleted) {
+      return res.status(400).json({ error: "Mensagem já foi apagada." });
+    }
+    const isSender = message.sender.toString() === req.user.id;
+    if (!isSender && !canModerate(kind, req.user, target)) {
+      return res.status(403).json({ error: "Permissão negada: só o autor ou moderadores podem apagar a mensagem." });
+    }
+
+    await deleteMessage(kind, message, req.user.id);
+
+    broadcastMessageChange(req.app.get("io"), kind, "message_deleted", message);
+    await unregisterReply(req.app.get("io"), kind, message);
+    res.json({ success: true, message: presentMessage(message, req.user.id) });
+  } catch (error) {
+    console.error("Erro ao apagar mensagem:", error);
+    res.status(500).json({ error: "Erro ao apagar mensagem" });
+  }
+};
+
+// @desc    Reagir a uma mensagem (body: emoji) ou remover a própria reação (:emoji codificado na URL)
+// @route   POST   /api/{channels/:id|clan-chat/:clanId|federation-chat/:federationId}/messages/:messageId/reactions
+// @route   DELETE /api/{channels/:id|clan-chat/:clanId|federation-chat/:federationId}/messages/:messageId/reactions/:emoji
+exports.react = (kind, action) => async (req, res) => {
+  try {
+    const loaded = await loadMessage(kind, req, res, { interacts: true });
+    if (!loaded) return;
+
+    const rawEmoji = action === "added" ? req.body.emoji : req.params.emoji;
+    const { error, message, emoji } = await reactToMessage(kind, action, loaded.message, req.user.id, rawEmoji);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    broadcastMessageChange(req.app.get("io"), kind, "message_reaction", message, { emoji, user: req.user.id, action });
+    res.json({ success: true, message: presentMessage(message, req.user.id) });
+  } catch (error) {
+    console.error("Erro ao atualizar reação:", error);
+    res.status(500).json({ error: "Erro ao atualizar reação" });
+  }
+};
+
+// @desc    Marcar a conversa como lida até a mensagem (o cursor nunca volta)
+// @route   PUT /api/{channels/:id|clan-chat/:clanId|federation-chat/:federationId}/messages/:messageId/read
+exports.markRead = (kind) => async (req, res) => {
+  try {
+    const loaded = await loadMessage(kind, req, res, { interacts: true });
+    if (!loaded) return;
+    const { target, message } = loaded;
+
+    const { cursor, advanced } = await markReadUpTo(req.user._id, kind, target._id, message);
+    const state = await readState(req.user._id, kind, target._id, cursor);
+    if (advanced) {
+      publishReadState(req.app.get("io"), req.user._id, state);
+    }
+
+    res.json({ success: true, data: state });
+  } catch (error) {
+    console.error("Erro ao marcar mensagens como lidas:", error);
+    res.status(500).json({ error: "Erro ao marcar mensagens como lidas" });
+  }
+};
+
+// @desc    Mensagens criadas, editadas, apagadas ou reagidas desde `since` (sincronização de clientes offline)
+// @route   GET /api/{channels/:id|clan-chat/:clanId|federation-chat/:federationId}/messages/changes?since=&limit=
+exports.getChanges = (kind) => async (req, res) => {
+  try {
+    const target = await loadTarget(kind, req, res);
+    if (!target) return;
+
+    const { error, messages, sync } = await changesSince(kind, target._id, req.query, req.user.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({ success: true, messages, sync });
+  } catch (error) {
+    console.error("Erro ao sincronizar mensagens:", error);
+    res.status(500).json({ error: "Erro ao sincronizar mensagens" });
+  }
+};
+
+// @desc    Fio de uma mensagem: a raiz (com replyCount e lastReplyAt) e uma página das respostas (before/after/limit)
+// @route   GET /api/{channels/:id|clan-chat/:clanId|federation-chat/:federationId}/messages/:messageId/thread
+exports.getThread = (kind) => async (req, res) => {
+  try {
+    const target = await loadTarget(kind, req, res);
+    if (!target) return;
+
+    const { error, status, root, messages, pagination } = await loadThread(
+      kind, target._id, req.params.messageId, req.query, req.user.id
+    );
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({ success: true, root, messages, pagination });
+  } catch (error) {
+    console.error("Erro ao buscar fio de mensagens:", error);
+    res.status(500).json({ error: "Erro ao buscar fio de mensagens" });
+  }
+};
+
+// Recebe o upload (multipart, campo "file") depois de conferir quem pode enviar e grava com `store`
+const receiveUpload = (kind, store, label) => async (req, res) => {
+  try {
+    // Acesso (e ban) conferido antes de receber o arquivo
+    const target = await loadTarget(kind, req, res, { writes: true });
+    if (!target) return;
+    if (!canSend(kind, req.user, target)) {
+      return res.status(403).json({ error: "Permissão negada: você não pode enviar mensagens neste chat." });
+    }
+
+    try {
+      await parseUpload(req, res);
+    } catch (error) {
+      if (!(error instanceof multer.MulterError)) throw error;
+      const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return res.status(status).json({ error: `Erro no upload: ${error.message}` });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: "Nenhum arquivo enviado (campo file)." });
+    }
+
+    const { error, status, limitBytes, attachment } = await store(kind, target._id, req.user._id, req.file);
+    if (error) {
+      return res.status(status || 400).json({ error, limitBytes });
+    }
+
+    res.status(201).json({ success: true, attachment: presentAttachment(attachment) });
+  } catch (error) {
+    console.error(`Erro ao enviar ${label}:`, error);
+    res.status(500).json({ error: `Erro ao enviar ${label}` });
+  }
+};
+
+// @desc    Enviar um anexo (multipart, campo "file") para usar em uma mensagem via attachmentId
+// @route   POST /api/{channels/:id|clan-chat/:clanId|federation-chat/:federationId}/attachments
+exports.uploadAttachment = (kind) => [uploadLimiter, receiveUpload(kind, storeAttachment, "anexo")];
+
+// @desc    Enviar uma nota de voz (convertida para Opus/OGG, com duração e forma de onda); usar via attachmentId
+// @route   POST /api/{channels/:id|clan-chat/:clanId|federation-chat/:federationId}/voice-notes
+exports.uploadVoiceNote = (kind) => [uploadLimiter, receiveUpload(kind, storeVoiceNote, "nota de voz")];
+
+// @desc    Baixar um anexo ou a miniatura dele (só participantes do chat)
+// @route   GET /api/{channels/:id|clan-chat/:clanId|federation-chat/:federationId}/attachments/:attachmentId[/thumbnail]
+exports.getAttachment = (kind, variant = "original") => async (req, res) => {
+  try {
+    const target = await loadTarget(kind, req, res);
+    if (!target) return;
+
+    const attachment = await findScopedAttachment(kind, target._id, req.params.attachmentId);
+    const filePath = attachment && attachmentFilePath(attachment, variant);
+    if (!filePath) {
+      return res.status(404).json({ error: "Anexo não encontrado." });
+    }
+
+    if (variant === "thumbnail") {
+      res.set("Content-Type", "image/webp");
+    } else {
+      // Arquivos genéricos sempre como download; imagem e áudio podem abrir no cliente
+      const disposition = attachment.kind === "file" ? "attachment" : "inline";
+      const fileName = encodeURIComponent(attachment.originalName || String(attachment._id));
+      res.set({
+        "Content-Type": attachment.mimeType,
+        "Content-Disposition": `${disposition}; filename*=UTF-8''${fileName}`,
+      });
+    }
+    res.set({ "X-Content-Type-Options": "nosniff", "Cache-Control": "private, max-age=86400" });
+
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: "Arquivo do anexo não encontrado." });
+      }
+    });
+  } catch (error) {
+    console.error("Erro ao buscar anexo:", error);
+    res.status(500).json({ error: "Erro ao buscar anexo" });
+  }
+};
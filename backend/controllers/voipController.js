@@ -1,6 +1,7 @@
 const Call = require("../models/Call");
 const User = require("../models/User");
 const logger = require("../utils/logger");
+const { userRoom } = require("../utils/socketRooms");
 
 // Função para iniciar uma chamada 1x1
 exports.initiateCall = async (req, res) => {
@@ -27,7 +28,7 @@ exports.initiateCall = async (req, res) => {
 
     // Emitir um evento via Socket.IO para o receptor
     // O 'req.io' é injetado pelo middleware no server.js
-    req.io.to(req.io.connectedUsers.get(receiverId)).emit("incoming_call", {
+    req.io.to(userRoom(receiverId)).emit("incoming_call", {
       callId: newCall._id,
       callerId: caller._id,
       callerUsername: caller.username,
@@ -62,7 +63,7 @@ exports.acceptCall = async (req, res) => {
     await call.save();
 
     // Notificar o chamador via Socket.IO que a chamada foi aceita
-    req.io.to(req.io.connectedUsers.get(call.caller.toString())).emit("call_accepted", {
+    req.io.to(userRoom(call.caller.toString())).emit("call_accepted", {
       callId: call._id,
       accepterId: userId,
     });
@@ -96,7 +97,7 @@ exports.rejectCall = async (req, res) => {
     await call.save();
 
     // Notificar o chamador via Socket.IO que a chamada foi rejeitada
-    req.io.to(req.io.connectedUsers.get(call.caller.toString())).emit("call_rejected", {
+    req.io.to(userRoom(call.caller.toString())).emit("call_rejected", {
       callId: call._id,
       rejecterId: userId,
     });
@@ -132,7 +133,7 @@ exports.endCall = async (req, res) => {
 
     // Notificar o outro participante via Socket.IO que a chamada foi encerrada
     const otherParticipantId = call.caller.toString() === userId ? call.receiver.toString() : call.caller.toString();
-    req.io.to(req.io.connectedUsers.get(otherParticipantId)).emit("call_ended", {
+    req.io.to(userRoom(otherParticipantId)).emit("call_ended", {
       callId: call._id,
       enderId: userId,
     });
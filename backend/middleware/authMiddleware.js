@@ -1,10 +1,13 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { getActiveSession, touchSession } = require("../services/sessionService");
+const { checkSuspension } = require("../services/suspensionService");
 require("dotenv").config();
 
 /**
  * Middleware para proteger rotas autenticadas.
- * Valida o token JWT, anexa o usuário ao req.user (sem senha).
+ * Valida o token JWT e a sessão de login vinculada a ele,
+ * anexa o usuário ao req.user (sem senha) e a sessão ao req.authSession.
  */
 const protect = async (req, res, next) => {
   let token;
@@ -20,6 +23,13 @@ const protect = async (req, res, next) => {
       // Decodifica e valida o token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Sessão revogada (logout, revogação remota) invalida o token na hora
+      const session = await getActiveSession(decoded.sid);
+      if (!session || session.user.toString() !== decoded.id) {
+        console.warn(`[AUTH] Sessão inválida ou encerrada para token do usuário ${decoded.id}`);
+        return res.status(401).json({ msg: "Não autorizado, sessão encerrada" });
+      }
+
       // Busca o usuário pelo ID do token, sem a senha
       req.user = await User.findById(decoded.id).select("-password");
 
@@ -29,6 +39,14 @@ const protect = async (req, res, next) => {
         return res.status(401).json({ msg: "Não autorizado, usuário não encontrado" });
       }
 
+      const suspension = await checkSuspension(req.user);
+      if (suspension) {
+        return res.status(403).json(suspension);
+      }
+
+      req.authSession = session;
+      await touchSession(session, { ip: req.ip });
+
       return next();
     } catch (error) {
       // Log para auditoria
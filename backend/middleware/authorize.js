@@ -0,0 +1,93 @@
+const Channel = require("../models/Channel");
+const GlobalChannel = require("../models/GlobalChannel");
+const { can } = require("../services/policyService");
+const { membershipOf } = require("../services/membershipService");
+
+/**
+ * Middleware de autorização baseado na política central (services/policyService.js).
+ *
+ * Exemplo de uso na rota:
+ *   router.put("/:id/kick/:userId", protect, authorize("clan.kick", loadClan()), handler);
+ *
+ * O segundo argumento monta o contexto da política a partir da requisição
+ * (carregando clã, federação etc. e anexando-os em req). Um loader pode
+ * devolver notFound("mensagem") para responder 404.
+ */
+const notFound = (msg) => ({ notFound: msg });
+
+const authorize = (action, loadContext = async () => ({})) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ msg: "Não autenticado" });
+    }
+
+    try {
+      const context = await loadContext(req);
+      if (context.notFound) {
+        return res.status(404).json({ msg: context.notFound });
+      }
+
+      if (!can(req.user, action, context)) {
+        console.warn(`[AUTHORIZE] Usuário ${req.user.username} sem permissão para "${action}"`);
+        return res.status(403).json({ msg: "Acesso negado. Permissão insuficiente." });
+      }
+
+      next();
+    } catch (error) {
+      if (error.kind === "ObjectId") {
+        return res.status(404).json({ msg: "Recurso não encontrado." });
+      }
+      console.error(`Erro ao autorizar "${action}":`, error);
+      res.status(500).json({ msg: "Erro interno do servidor." });
+    }
+  };
+};
+
+// Carrega o clã de req.params[param] (ou req.body.clanId) em req.clan
+const loadClan = (param = "id") => async (req) => {
+  const clanId = req.params[param] || req.body.clanId;
+  if (!clanId) return notFound("ID do clã é obrigatório.");
+  const clan = await membershipOf(req).clan(clanId);
+  if (!clan) return notFound("Clã não encontrado.");
+  req.clan = clan;
+  return { clan };
+};
+
+// Carrega a federação de req.params[param] (ou req.body.federationId) em req.federation
+const loadFederation = (param = "id") => async (req) => {
+  const federationId = req.params[param] || req.body.federationId;
+  if (!federationId) return notFound("ID da federação é obrigatório.");
+  const federation = await membershipOf(req).federation(federationId);
+  if (!federation) return notFound("Federação não encontrada");
+  req.federation = federation;
+  return { federation };
+};
+
+// Carrega o canal de texto de req.params[param] em req.channel (dono = owner)
+const loadChannel = (param = "id") => async (req) => {
+  const channel = await Channel.findById(req.params[param]);
+  if (!channel) return notFound("Canal não encontrado.");
+  req.channel = channel;
+  return { ownerId: channel.owner };
+};
+
+// Carrega o canal global de texto de req.params[param] em req.globalChannel (regras "moderator")
+const loadGlobalChannel = (param = "channelId") => async (req) => {
+  const globalChannel = await GlobalChannel.findOne({ _id: req.params[param], type: "text" });
+  if (!globalChannel) return notFound("Canal global não encontrado.");
+  req.globalChannel = globalChannel;
+  return { moderators: globalChannel.moderators };
+};
+
+// Usuário alvo em req.params[param] (para regras "self")
+const targetUser = (param = "id") => async (req) => ({ targetUserId: req.params[param] });
+
+module.exports = {
+  authorize,
+  notFound,
+  loadClan,
+  loadFederation,
+  loadChannel,
+  loadGlobalChannel,
+  targetUser,
+};
@@ -1,5 +0,0 @@
-// middleware/authorizeFederationLeaderOrADM.js
-module.exports = (req, res, next) => {
-  // TODO: implementar lógica de permissão
-  next();
-};
@@ -0,0 +1,61 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const { getActiveSession } = require("../services/sessionService");
+const { checkSuspension } = require("../services/suspensionService");
+require("dotenv").config();
+
+/**
+ * Valida um JWT de acesso, a sessão vinculada a ele e a suspensão do usuário.
+ * Retorna `{ userId, sessionId, expiresAt }` ou lança erro se o token for
+ * inválido/expirado, a sessão tiver sido revogada ou a conta estiver suspensa
+ * (neste caso `error.data` traz o motivo e a expiração).
+ */
+const verifySocketToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const session = await getActiveSession(decoded.sid);
+  if (!session || session.user.toString() !== decoded.id) {
+    throw new Error("Sessão encerrada");
+  }
+
+  const suspension = await checkSuspension(await User.findById(decoded.id));
+  if (suspension) {
+    const error = new Error(suspension.msg);
+    error.data = suspension;
+    throw error;
+  }
+
+  return {
+    userId: decoded.id,
+    sessionId: session._id.toString(),
+    expiresAt: decoded.exp * 1000,
+  };
+};
+
+/**
+ * Middleware de handshake do Socket.IO.
+ * Exige o JWT em `auth.token` e vincula socket.userId/socket.sessionId a partir
+ * dele; qualquer identidade enviada pelo cliente depois disso é ignorada.
+ */
+const socketAuth = async (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) {
+    console.warn(`[SOCKET_AUTH] Conexão sem token recusada (${socket.id})`);
+    return next(new Error("Não autorizado, token ausente"));
+  }
+
+  try {
+    const { userId, sessionId, expiresAt } = await verifySocketToken(token);
+    socket.userId = userId;
+    socket.sessionId = sessionId;
+    socket.tokenExpiresAt = expiresAt;
+    return next();
+  } catch (error) {
+    if (error.data && error.data.suspended) {
+      return next(error);
+    }
+    console.error(`[SOCKET_AUTH] Falha na verificação do token: ${error.message}`);
+    return next(new Error("Não autorizado, token inválido"));
+  }
+};
+
+module.exports = { socketAuth, verifySocketToken };
@@ -2,13 +2,20 @@ const mongoose = require('mongoose');
 
 const BanSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  targetType: { type: String, enum: ['clan', 'federation', 'channel'], required: true },
+  targetType: { type: String, enum: ['clan', 'federation', 'channel', 'global'], required: true },
   targetId: { type: mongoose.Schema.Types.ObjectId, required: true, refPath: 'targetType' },
   reason: { type: String, default: '' },
   bannedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   startAt: { type: Date, default: Date.now },
   endAt: { type: Date }, // null para ban permanente
-  active: { type: Boolean, default: true }
+  active: { type: Boolean, default: true },
+  // Preenchidos quando o ban é removido manualmente ou expira
+  liftedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  liftedAt: { type: Date, default: null }
 });
 
+// Verificação de ban ativo por escopo e listagem por alvo
+BanSchema.index({ targetType: 1, targetId: 1, user: 1, active: 1 });
+BanSchema.index({ active: 1, endAt: 1 });
+
 module.exports = mongoose.model('Ban', BanSchema);
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+// Arquivo enviado para um chat (canal, clã, federação, conversa privada ou chat global). Fica fora de /uploads
+// (que é público) e só é servido a quem participa da conversa.
+const ChatAttachmentSchema = new mongoose.Schema(
+  {
+    chatType: {
+      type: String,
+      enum: ["channel", "clan", "federation", "direct", "global"],
+      required: true,
+    },
+    // ID do canal, clã, federação, conversa privada ou canal global
+    scope: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Mesmo vocabulário do campo type das mensagens
+    kind: {
+      type: String,
+      enum: ["image", "file", "audio", "voice"],
+      required: true,
+    },
+    // Tipo identificado pelos bytes do arquivo, não pelo que o cliente informou
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      default: "",
+      maxlength: 255,
+    },
+    // Caminhos relativos ao diretório de anexos (CHAT_ATTACHMENTS_DIR)
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    thumbnailKey: {
+      type: String,
+      default: null,
+    },
+    width: {
+      type: Number,
+      default: null,
+    },
+    height: {
+      type: Number,
+      default: null,
+    },
+    // Notas de voz: duração em segundos, codec após a conversão e picos (0 a 100) para a prévia
+    duration: {
+      type: Number,
+      default: null,
+    },
+    codec: {
+      type: String,
+      default: null,
+    },
+    waveform: {
+      type: [Number],
+      default: undefined,
+    },
+    // Mensagem que usou o anexo (cada anexo vai em uma única mensagem)
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+ChatAttachmentSchema.index({ chatType: 1, scope: 1, createdAt: -1 });
+// Limpeza dos anexos nunca usados em mensagem
+ChatAttachmentSchema.index({ message: 1, createdAt: 1 });
+
+module.exports = mongoose.model("ChatAttachment", ChatAttachmentSchema);
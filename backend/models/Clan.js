@@ -69,7 +69,7 @@ const ClanSchema = new mongoose.Schema({
       ref: "User",
       required: true,
     },
-    role: {
+    role: { // _id (string) do cargo em customRoles
       type: String,
       required: true,
     },
@@ -79,11 +79,23 @@ const ClanSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "Clan",
   }],
-  // Clãs inimigos
+  // Clãs com pacto de não agressão
+  nonAggression: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Clan",
+  }],
+  // Clãs inimigos (em guerra)
   enemies: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: "Clan",
   }],
+  // Como novos membros entram: livre, por solicitação aprovada ou só por convite.
+  // Padrão "open": clãs criados antes do campo continuam com entrada livre.
+  membershipMode: {
+    type: String,
+    enum: ["open", "request", "invite"],
+    default: "open",
+  },
   // Regras do clã
   rules: {
     type: String,
@@ -13,21 +13,37 @@ const ClanChatMessageSchema = new mongoose.Schema({
   },
   message: {
     type: String,
-    required: function() { return this.type === 'text'; },
+    required: function() { return this.type === 'text' && !this.deleted; },
     trim: true,
     maxlength: 1000,
     default: ""
   },
-  // Tipos de mensagem: texto, imagem, arquivo, áudio, sistema (expansível)
+  // Tipos de mensagem: texto, imagem, arquivo, áudio, nota de voz, sistema (expansível)
   type: {
     type: String,
-    enum: ['text', 'image', 'file', 'audio', 'system'],
+    enum: ['text', 'image', 'file', 'audio', 'voice', 'system'],
     default: 'text',
   },
-  // URL do arquivo (imagem, arquivo, áudio)
+  // URL do arquivo (imagem, arquivo, áudio, nota de voz)
   fileUrl: {
     type: String,
-    required: function() { return ['image', 'file', 'audio'].includes(this.type); },
+    required: function() { return ['image', 'file', 'audio', 'voice'].includes(this.type) && !this.deleted; },
+    default: null
+  },
+  // Anexo enviado pelo upload do chat (fileUrl aponta para ele)
+  attachment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatAttachment',
+    default: null
+  },
+  // Nota de voz: duração (s), codec e forma de onda (picos de 0 a 100)
+  voice: {
+    type: {
+      _id: false,
+      duration: Number,
+      codec: String,
+      waveform: [Number]
+    },
     default: null
   },
   // Marcação de mensagens do sistema (ex: "usuário entrou no clã")
@@ -49,17 +65,71 @@ const ClanChatMessageSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Versões anteriores do texto, da mais antiga para a mais recente
+  editHistory: [{
+    message: { type: String },
+    editedAt: { type: Date, default: Date.now }
+  }],
+  // Exclusão lógica: a mensagem vira um marcador ("mensagem apagada") no histórico
   deleted: {
     type: Boolean,
     default: false
   },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Resposta em fio: raiz do fio (null = mensagem do chat principal)
+  threadRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClanChatMessage',
+    default: null
+  },
+  // Mensagem respondida ou citada: resumo copiado no envio e atualizado quando a original é editada ou apagada
+  quoted: {
+    type: {
+      _id: false,
+      message: mongoose.Schema.Types.ObjectId,
+      sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      preview: String,
+      deleted: Boolean
+    },
+    default: null
+  },
+  // Na raiz do fio: total de respostas e data da última
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  lastReplyAt: {
+    type: Date,
+    default: null
+  },
   timestamp: {
     type: Date,
     default: Date.now,
   }
+}, {
+  // updatedAt muda a cada envio, edição, exclusão ou reação: base da sincronização "changes since"
+  timestamps: { createdAt: false, updatedAt: true }
 });
 
 // Index para busca rápida por clã e data (paginando chat)
 ClanChatMessageSchema.index({ clan: 1, timestamp: -1 });
+// Sincronização de clientes offline (mensagens alteradas depois de um ponto)
+ClanChatMessageSchema.index({ clan: 1, updatedAt: 1 });
+// Respostas de um fio, em ordem
+ClanChatMessageSchema.index({ threadRoot: 1, timestamp: -1 });
+// Mensagens que citam ou respondem a uma mensagem (resumo atualizado ao editar ou apagar a original)
+ClanChatMessageSchema.index({ "quoted.message": 1 }, { sparse: true });
 
 module.exports = mongoose.model('ClanChatMessage', ClanChatMessageSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Histórico de mudanças diplomáticas entre dois clãs (visível para os dois lados)
+const DiplomacyEventSchema = new mongoose.Schema({
+  clans: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Clan', required: true }], // [clã que agiu, outro clã]
+  actorClan: { type: mongoose.Schema.Types.ObjectId, ref: 'Clan', required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // proposed, accepted, rejected, cancelled, war_declared, relation_broken
+  action: { type: String, required: true },
+  proposal: { type: mongoose.Schema.Types.ObjectId, ref: 'DiplomacyProposal', default: null },
+  // Estado da relação antes e depois (ally, nonAggression, war, neutral)
+  fromRelation: { type: String, default: null },
+  toRelation: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+DiplomacyEventSchema.index({ clans: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DiplomacyEvent', DiplomacyEventSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Proposta diplomática entre clãs: só vale depois que a liderança do clã alvo aceita
+const DiplomacyProposalSchema = new mongoose.Schema({
+  fromClan: { type: mongoose.Schema.Types.ObjectId, ref: 'Clan', required: true },
+  toClan: { type: mongoose.Schema.Types.ObjectId, ref: 'Clan', required: true },
+  // ally: aliança | nonAggression: pacto de não agressão | peace: fim de uma guerra (volta a neutro)
+  relation: {
+    type: String,
+    enum: ['ally', 'nonAggression', 'peace'],
+    required: true,
+  },
+  message: { type: String, trim: true, maxlength: 300, default: '' },
+  proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'cancelled', 'expired'],
+    default: 'pending',
+  },
+  respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  respondedAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+DiplomacyProposalSchema.index({ fromClan: 1, status: 1 });
+DiplomacyProposalSchema.index({ toClan: 1, status: 1 });
+
+module.exports = mongoose.model('DiplomacyProposal', DiplomacyProposalSchema);
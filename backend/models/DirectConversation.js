@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// Resumo da última mensagem, mostrado na lista de conversas
+const LastMessageSchema = new mongoose.Schema(
+  {
+    message: { type: mongoose.Schema.Types.ObjectId, required: true },
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    type: { type: String },
+    preview: { type: String, default: "" },
+    deleted: { type: Boolean, default: false },
+    timestamp: { type: Date },
+  },
+  { _id: false }
+);
+
+// Conversa privada entre dois usuários. Uma por par (key), criada ao abrir a conversa.
+const DirectConversationSchema = new mongoose.Schema(
+  {
+    participants: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      validate: [(value) => value.length === 2, "A conversa deve ter exatamente dois participantes."],
+    },
+    // IDs dos participantes em ordem, separados por "_": garante uma conversa por par
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Resumo da última mensagem para a lista de conversas
+    lastMessage: {
+      type: LastMessageSchema,
+      default: null,
+    },
+    lastMessageAt: {
+      type: Date,
+      default: null,
+    },
+    // Participantes que bloquearam o outro (espelha User.blockedUsers); com alguém aqui ninguém envia
+    blockedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    // Denúncias: só conversas denunciadas ficam visíveis para ADM
+    reports: [
+      {
+        reporter: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        message: { type: mongoose.Schema.Types.ObjectId, required: true },
+        reason: { type: String, trim: true, maxlength: 500, default: "" },
+        createdAt: { type: Date, default: Date.now },
+        resolvedAt: { type: Date, default: null },
+        resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      },
+    ],
+    // Denúncia pendente mais antiga (null = nada pendente, conversa oculta para ADM)
+    reportedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+DirectConversationSchema.index({ participants: 1, lastMessageAt: -1 });
+DirectConversationSchema.index({ reportedAt: 1 });
+
+module.exports = mongoose.model("DirectConversation", DirectConversationSchema);
@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+
+// Mensagem de conversa privada (DirectConversation). Mesmos tipos e recursos dos chats de clã e federação.
+const DirectMessageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DirectConversation",
+    required: true,
+  },
+  // Cópia dos participantes da conversa: destino dos eventos de socket (salas de usuário)
+  participants: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  message: {
+    type: String,
+    required: function() { return this.type === "text" && !this.deleted; },
+    trim: true,
+    maxlength: 1000,
+    default: ""
+  },
+  // Tipos de mensagem: texto, imagem, arquivo, áudio, nota de voz
+  type: {
+    type: String,
+    enum: ["text", "image", "file", "audio", "voice"],
+    default: "text",
+  },
+  // URL do anexo (imagem, arquivo, áudio, nota de voz)
+  fileUrl: {
+    type: String,
+    required: function() { return ["image", "file", "audio", "voice"].includes(this.type) && !this.deleted; },
+    default: null
+  },
+  // Anexo enviado pelo upload da conversa (fileUrl aponta para ele)
+  attachment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ChatAttachment",
+    default: null
+  },
+  // Nota de voz: duração (s), codec e forma de onda (picos de 0 a 100)
+  voice: {
+    type: {
+      _id: false,
+      duration: Number,
+      codec: String,
+      waveform: [Number]
+    },
+    default: null
+  },
+  reactions: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    emoji: { type: String }
+  }],
+  edited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Versões anteriores do texto, da mais antiga para a mais recente
+  editHistory: [{
+    message: { type: String },
+    editedAt: { type: Date, default: Date.now }
+  }],
+  // Exclusão lógica: a mensagem vira um marcador ("mensagem apagada") no histórico
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  // Resposta em fio: raiz do fio (null = mensagem do chat principal)
+  threadRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DirectMessage",
+    default: null
+  },
+  // Mensagem respondida ou citada: resumo copiado no envio e atualizado quando a original é editada ou apagada
+  quoted: {
+    type: {
+      _id: false,
+      message: mongoose.Schema.Types.ObjectId,
+      sender: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      preview: String,
+      deleted: Boolean
+    },
+    default: null
+  },
+  // Na raiz do fio: total de respostas e data da última
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  lastReplyAt: {
+    type: Date,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  }
+}, {
+  // updatedAt muda a cada envio, edição, exclusão ou reação: base da sincronização "changes since"
+  timestamps: { createdAt: false, updatedAt: true }
+});
+
+DirectMessageSchema.index({ conversation: 1, timestamp: -1 });
+DirectMessageSchema.index({ conversation: 1, updatedAt: 1 });
+// Respostas de um fio, em ordem
+DirectMessageSchema.index({ threadRoot: 1, timestamp: -1 });
+// Mensagens que citam ou respondem a uma mensagem (resumo atualizado ao editar ou apagar a original)
+DirectMessageSchema.index({ "quoted.message": 1 }, { sparse: true });
+
+module.exports = mongoose.model("DirectMessage", DirectMessageSchema);
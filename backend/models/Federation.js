@@ -15,12 +15,15 @@ const FederationSchema = new mongoose.Schema({
     type: String, // URL da imagem da bandeira
     default: null,
   },
-  // Liderança máxima da federação (pode ser mais de um, se quiser permitir)
-  leadersMax: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: "User",
-    required: true,
-  }],
+  // Liderança máxima da federação (pode ser mais de um; sempre pelo menos um)
+  leadersMax: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    }],
+    validate: [(leaders) => leaders.length > 0, "A federação precisa de pelo menos um líder máximo"],
+  },
   // Sub-líderes da federação
   subLeaders: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -56,6 +59,11 @@ const FederationSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+// Primeiro líder máximo, mantido para clientes que ainda leem `leader`
+FederationSchema.virtual("leader").get(function () {
+  return this.leadersMax && this.leadersMax.length > 0 ? this.leadersMax[0] : null;
 });
 
 module.exports = mongoose.model("Federation", FederationSchema);
@@ -30,6 +30,20 @@ const GlobalChannelSchema = new mongoose.Schema({
       ref: "User",
     },
   ],
+  // Chat dos canais de texto: intervalo mínimo (s) entre mensagens de um mesmo usuário (0 = desligado)
+  slowModeSeconds: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 3600,
+  },
+  // Moderadores do chat (além de ADM): apagam mensagens, banem usuários e ajustam o modo lento
+  moderators: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  ],
   // Usuário que criou o canal
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
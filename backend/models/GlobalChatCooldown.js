@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Modo lento do chat global: último envio do usuário no canal. Um documento por usuário e canal,
+// reivindicado atomicamente a cada envio (envios em paralelo não passam juntos).
+const GlobalChatCooldownSchema = new mongoose.Schema({
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "GlobalChannel",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  lastSentAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+GlobalChatCooldownSchema.index({ channel: 1, user: 1 }, { unique: true });
+// Depois do maior modo lento possível (1 hora) o documento não barra mais nada
+GlobalChatCooldownSchema.index({ lastSentAt: 1 }, { expireAfterSeconds: 3600 });
+
+module.exports = mongoose.model("GlobalChatCooldown", GlobalChatCooldownSchema);
@@ -6,28 +6,61 @@ const InviteSchema = new mongoose.Schema({
     enum: ['clan', 'federation', 'channel'],
     required: true,
   },
+  // invite: liderança convida um usuário | request: usuário pede para entrar
+  kind: {
+    type: String,
+    enum: ['invite', 'request'],
+    default: 'invite',
+  },
   target: { // Clã, federação ou canal
     type: mongoose.Schema.Types.ObjectId,
     required: true,
-    refPath: 'type'
+    ref: function() { return { clan: 'Clan', federation: 'Federation', channel: 'Channel' }[this.type]; }
   },
-  sender: { // Quem convidou
+  sender: { // Quem convidou (invite) ou quem pediu para entrar (request)
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
   },
-  recipient: { // Quem recebeu o convite
+  recipient: { // Quem recebeu o convite (apenas invite de clã)
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    required: function() { return this.type === 'clan' && this.kind === 'invite'; },
+    default: null,
+  },
+  // Clã convidado pela federação ou que pediu para entrar nela (type 'federation')
+  clan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clan',
+    required: function() { return this.type === 'federation'; },
+    default: null,
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: '',
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected', 'expired'],
+    enum: ['pending', 'accepted', 'rejected', 'expired', 'cancelled'],
     default: 'pending'
   },
+  // Quem aceitou/recusou (recipient/liderança do clã no invite, liderança do alvo no request)
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  expiresAt: { type: Date, required: true },
   createdAt: { type: Date, default: Date.now },
   respondedAt: { type: Date }
 });
 
+// Histórico por alvo (clã) e por usuário
+InviteSchema.index({ type: 1, target: 1, createdAt: -1 });
+InviteSchema.index({ recipient: 1, status: 1 });
+InviteSchema.index({ sender: 1, status: 1 });
+InviteSchema.index({ clan: 1, status: 1 });
+
 module.exports = mongoose.model('Invite', InviteSchema);
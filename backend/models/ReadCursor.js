@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Posição de leitura do usuário numa conversa (canal, chat do clã ou da federação, conversa privada, chat global).
+// Um documento por usuário e conversa, no lugar de marcar cada mensagem (readBy).
+const ReadCursorSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    chatType: {
+      type: String,
+      enum: ["channel", "clan", "federation", "direct", "global"],
+      required: true,
+    },
+    // ID do canal, clã, federação ou conversa privada
+    scope: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Última mensagem lida e o timestamp dela: tudo até lastReadAt conta como lido
+    lastReadMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    lastReadAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+ReadCursorSchema.index({ user: 1, chatType: 1, scope: 1 }, { unique: true });
+
+module.exports = mongoose.model("ReadCursor", ReadCursorSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Hash SHA-256 do token (o valor bruto só é entregue ao cliente)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Família de rotação: todos os tokens derivados do mesmo login
+  family: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Preenchido quando o token é trocado (rotação) ou revogado
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  // Hash do token que substituiu este na rotação
+  replacedBy: {
+    type: String,
+    default: null,
+  },
+  createdByIp: {
+    type: String,
+    default: null,
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Remove automaticamente tokens expirados
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
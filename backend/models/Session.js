@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Informações do dispositivo que fez o login
+  device: {
+    name: { type: String, trim: true, default: null }, // Ex: "Galaxy S21"
+    platform: { type: String, trim: true, default: null }, // Ex: android, ios, web
+    userAgent: { type: String, default: null },
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Preenchido no logout, na revogação remota ou ao detectar reuso de token
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'remote', 'token_reuse', 'admin', null],
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Remove automaticamente sessões expiradas
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
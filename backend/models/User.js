@@ -42,6 +42,11 @@ const UserSchema = new mongoose.Schema({
     enum: ["Leader", "SubLeader", "member", "leader", "subleader", "member", null],
     default: null
   },
+  // Data de entrada no clã atual
+  clanJoinedAt: {
+    type: Date,
+    default: null
+  },
   // Referência à federação
   federation: {
     type: mongoose.Schema.Types.ObjectId,
@@ -51,7 +56,7 @@ const UserSchema = new mongoose.Schema({
   // Papel do usuário dentro da federação
   federationRole: {
     type: String,
-    enum: ["leaderMax", "member", null],
+    enum: ["leaderMax", "subLeader", "member", null],
     default: null
   },
   // Papel global (ADM, ADM reivindicado, usuário comum, descolado)
@@ -60,6 +65,14 @@ const UserSchema = new mongoose.Schema({
     enum: ["ADM", "adminReivindicado", "user", "descolado"],
     default: "user"
   },
+  // Suspensão aplicada por ADM (bloqueia API, login e socket até expirar ou ser removida)
+  suspended: { type: Boolean, default: false },
+  suspensionReason: { type: String, trim: true, default: null },
+  suspensionExpiry: { type: Date, default: null }, // null = suspensão por tempo indeterminado
+  suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  suspendedAt: { type: Date, default: null },
+  // Usuários bloqueados: não trocam mensagens privadas com este usuário
+  blockedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
   online: { type: Boolean, default: false },
   ultimaAtividade: { type: Date, default: Date.now },
   lastSeen: { type: Date, default: Date.now }
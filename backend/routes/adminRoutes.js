@@ -5,17 +5,12 @@ const User = require('../models/User');
 const Call = require('../models/Call');
 const Message = require('../models/Message');
 const { protect } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorize');
+const { suspendUser, unsuspendUser } = require('../services/suspensionService');
 
-// Middleware para verificar se é admin
-const checkAdmin = (req, res, next) => {
-  if (req.user.role !== 'ADM') {
-    return res.status(403).json({ msg: 'Acesso negado. Apenas administradores.' });
-  }
-  next();
-};
 
 // GET /api/admin/users - Listar todos os usuários
-router.get('/users', protect, checkAdmin, async (req, res) => {
+router.get('/users', protect, authorize('admin.users'), async (req, res) => {
   try {
     const users = await User.find({})
       .select('-password')
@@ -29,7 +24,7 @@ router.get('/users', protect, checkAdmin, async (req, res) => {
 });
 
 // PUT /api/admin/users/:userId/role - Alterar papel do usuário
-router.put('/users/:userId/role', protect, checkAdmin, async (req, res) => {
+router.put('/users/:userId/role', protect, authorize('admin.users'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { role } = req.body;
@@ -66,7 +61,7 @@ router.put('/users/:userId/role', protect, checkAdmin, async (req, res) => {
 });
 
 // POST /api/admin/users/:userId/suspend - Suspender usuário
-router.post('/users/:userId/suspend', protect, checkAdmin, async (req, res) => {
+router.post('/users/:userId/suspend', protect, authorize('admin.users'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { reason, duration } = req.body;
@@ -75,16 +70,18 @@ router.post('/users/:userId/suspend', protect, checkAdmin, async (req, res) => {
     if (userId === req.user.id) {
       return res.status(400).json({ msg: 'Você não pode suspender a si mesmo' });
     }
+
+    if (duration !== undefined && duration !== null && !(Number(duration) > 0)) {
+      return res.status(400).json({ msg: 'Duração inválida (em dias, maior que zero)' });
+    }
     
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { 
-        suspended: true,
-        suspensionReason: reason,
-        suspensionExpiry: duration ? new Date(Date.now() + duration * 24 * 60 * 60 * 1000) : null
-      },
-      { new: true }
-    ).select('-password');
+    // duration em dias; sem duração a suspensão vale até ser removida manualmente
+    const user = await suspendUser(userId, {
+      reason,
+      expiresAt: duration ? new Date(Date.now() + Number(duration) * 24 * 60 * 60 * 1000) : null,
+      suspendedBy: req.user.id,
+      io: req.app.get('io'),
+    });
     
     if (!user) {
       return res.status(404).json({ msg: 'Usuário não encontrado' });
@@ -100,8 +97,27 @@ router.post('/users/:userId/suspend', protect, checkAdmin, async (req, res) => {
   }
 });
 
+// POST /api/admin/users/:userId/unsuspend - Remover suspensão do usuário
+router.post('/users/:userId/unsuspend', protect, authorize('admin.users'), async (req, res) => {
+  try {
+    const user = await unsuspendUser(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({ msg: 'Usuário não encontrado' });
+    }
+    
+    res.json({ 
+      msg: 'Suspensão removida com sucesso',
+      user 
+    });
+  } catch (error) {
+    console.error('Erro ao remover suspensão:', error);
+    res.status(500).json({ msg: 'Erro interno do servidor' });
+  }
+});
+
 // GET /api/admin/logs - Buscar logs do sistema
-router.get('/logs', protect, checkAdmin, async (req, res) => {
+router.get('/logs', protect, authorize('admin.logs'), async (req, res) => {
   try {
     // Por enquanto, retornar logs simulados
     // Em produção, isso viria de um sistema de logging real
@@ -144,7 +160,7 @@ router.get('/logs', protect, checkAdmin, async (req, res) => {
 });
 
 // GET /api/admin/dashboard - Dashboard do admin
-router.get('/dashboard', protect, checkAdmin, async (req, res) => {
+router.get('/dashboard', protect, authorize('admin.dashboard'), async (req, res) => {
   try {
     // Estatísticas para o dashboard
     const totalUsers = await User.countDocuments();
@@ -179,7 +195,7 @@ router.get('/dashboard', protect, checkAdmin, async (req, res) => {
 });
 
 // POST /api/admin/broadcast - Enviar mensagem para todos
-router.post('/broadcast', protect, checkAdmin, async (req, res) => {
+router.post('/broadcast', protect, authorize('admin.broadcast'), async (req, res) => {
   try {
     const { message, type = 'info' } = req.body;
     
@@ -201,7 +217,7 @@ module.exports = router;
 
 
 // Endpoint para promover usuário para admin
-router.post('/promote-user', protect, checkAdmin, async (req, res) => {
+router.post('/promote-user', protect, authorize('admin.users'), async (req, res) => {
   try {
     const { username } = req.body;
     
@@ -236,7 +252,7 @@ router.post('/promote-user', protect, checkAdmin, async (req, res) => {
 
 
 // POST /api/admin/promote-user-to-role - Promover usuário para um papel específico
-router.post("/promote-user-to-role", protect, checkAdmin, async (req, res) => {
+router.post("/promote-user-to-role", protect, authorize("admin.users"), async (req, res) => {
   try {
     const { userId, newRole } = req.body;
 
@@ -265,7 +281,7 @@ router.post("/promote-user-to-role", protect, checkAdmin, async (req, res) => {
   }
 });
 
-router.get("/users/all", protect, checkAdmin, async (req, res) => {
+router.get("/users/all", protect, authorize("admin.users"), async (req, res) => {
   try {
     const users = await User.find({})
       .populate("clan", "name tag") // Popula o campo clan com nome e tag
@@ -286,7 +302,7 @@ router.get("/users/all", protect, checkAdmin, async (req, res) => {
 
 
 // DELETE /api/admin/users/:userId - Excluir usuário
-router.delete("/users/:userId", protect, checkAdmin, async (req, res) => {
+router.delete("/users/:userId", protect, authorize("admin.users"), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -38,7 +38,13 @@
  *               properties:
  *                 token:
  *                   type: string
- *                   description: Token de autenticação JWT
+ *                   description: Access token JWT (curta duração)
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh token opaco para renovar o access token
+ *                 expiresIn:
+ *                   type: string
+ *                   description: Validade do access token (ex. 15m)
  *       400:
  *         description: Erro de validação ou usuário já existe
  *         content:
@@ -80,6 +86,12 @@
  *               password:
  *                 type: string
  *                 description: Senha do usuário
+ *               deviceName:
+ *                 type: string
+ *                 description: Nome do dispositivo (opcional, exibido na lista de sessões)
+ *               platform:
+ *                 type: string
+ *                 description: Plataforma do cliente (opcional, ex. android, ios, web)
  *     responses:
  *       200:
  *         description: Autenticação bem-sucedida e token retornado
@@ -90,7 +102,13 @@
  *               properties:
  *                 token:
  *                   type: string
- *                   description: Token de autenticação JWT
+ *                   description: Access token JWT (curta duração)
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh token opaco para renovar o access token
+ *                 expiresIn:
+ *                   type: string
+ *                   description: Validade do access token (ex. 15m)
  *       400:
  *         description: Credenciais inválidas
  *         content:
@@ -110,6 +128,137 @@
  *         description: Erro no servidor
  */
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Renovar o access token usando um refresh token (rotação)
+ *     tags: [Autenticação]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token recebido no login, registro ou última renovação
+ *     responses:
+ *       200:
+ *         description: Novo par de tokens; o refresh token anterior deixa de valer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *       400:
+ *         description: Refresh token ausente
+ *       401:
+ *         description: Refresh token inválido, expirado ou reutilizado (a família inteira é revogada)
+ *       500:
+ *         description: Erro no servidor
+ */
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Encerrar a sessão atual (revoga access e refresh tokens dela)
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessão encerrada
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro no servidor
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Listar as sessões ativas (dispositivos) do usuário
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de sessões ativas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       device:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           platform:
+ *                             type: string
+ *                           userAgent:
+ *                             type: string
+ *                       ip:
+ *                         type: string
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *                         description: Indica a sessão usada nesta requisição
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro no servidor
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Encerrar remotamente uma sessão do usuário
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID da sessão
+ *     responses:
+ *       200:
+ *         description: Sessão encerrada; sockets abertos com ela são desconectados
+ *       400:
+ *         description: Sessão já encerrada
+ *       401:
+ *         description: Não autorizado
+ *       404:
+ *         description: Sessão não encontrada
+ *       500:
+ *         description: Erro no servidor
+ */
+
 /**
  * @swagger
  * /api/auth/profile:
@@ -156,7 +305,15 @@
 console.log("--- Loading authRoutes.js ---"); // Debug log
 const express = require("express");
 const router = express.Router();
-const { registerUser, loginUser, getUserProfile } = require("../controllers/authController");
+const {
+  registerUser,
+  loginUser,
+  refreshToken,
+  logoutUser,
+  getSessions,
+  revokeUserSession,
+  getUserProfile,
+} = require("../controllers/authController");
 const { protect } = require("../middleware/authMiddleware");
 const { check } = require("express-validator");
 
@@ -194,6 +351,30 @@ router.post(
   }
 );
 
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair (rotation)
+// @access  Public
+router.post(
+  "/refresh",
+  [check("refreshToken", "Refresh token is required").isString().notEmpty()],
+  refreshToken
+);
+
+// @route   POST api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post("/logout", protect, logoutUser);
+
+// @route   GET api/auth/sessions
+// @desc    List the user's active sessions (devices)
+// @access  Private
+router.get("/sessions", protect, getSessions);
+
+// @route   DELETE api/auth/sessions/:id
+// @desc    Revoke one of the user's sessions remotely
+// @access  Private
+router.delete("/sessions/:id", protect, revokeUserSession);
+
 // @route   GET api/auth/profile
 // @desc    Get user profile
 // @access  Private
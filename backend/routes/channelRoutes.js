@@ -183,25 +183,65 @@
  *           type: string
  *         required: true
  *         description: ID do canal
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor (pagination.before) para a página anterior
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor (pagination.after) para a página seguinte
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 100
  *     responses:
  *       200:
  *         description: Lista de mensagens do canal
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   _id:
- *                     type: string
- *                   sender:
- *                     type: string
- *                   text:
- *                     type: string
- *                   createdAt:
- *                     type: string
- *                     format: date-time
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       sender:
+ *                         type: string
+ *                       text:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     before:
+ *                       type: string
+ *                       nullable: true
+ *                     after:
+ *                       type: string
+ *                       nullable: true
+ *                     hasMoreBefore:
+ *                       type: boolean
+ *                       nullable: true
+ *                     hasMoreAfter:
+ *                       type: boolean
+ *                       nullable: true
+ *       400:
+ *         description: Cursor de paginação inválido
  *       401:
  *         description: Não autorizado
  *       404:
@@ -221,6 +261,19 @@ const {
   getChannelMessages,
 } = require("../controllers/channelController");
 const { protect } = require("../middleware/authMiddleware");
+const { authorize, loadChannel } = require("../middleware/authorize");
+const { banRules, listBans, createBan, removeBan } = require("../controllers/banController");
+const {
+  editMessage,
+  deleteMessage,
+  react,
+  markRead,
+  getChanges,
+  getThread,
+  uploadAttachment,
+  uploadVoiceNote,
+  getAttachment,
+} = require("../controllers/messageController");
 const { check } = require("express-validator");
 
 // All channel routes are protected
@@ -256,10 +309,80 @@ router.post("/:id/join", joinChannel);
 router.post("/:id/leave", leaveChannel);
 
 // @route   GET api/channels/:id/messages
-// @desc    Get messages for a channel
+// @desc    Get a page of channel messages (?before=&after=&limit=)
 // @access  Private (Member only)
 router.get("/:id/messages", getChannelMessages);
 
+// @route   GET api/channels/:id/messages/changes
+// @desc    Messages created, edited, deleted or reacted to since a sync cursor or ISO date (?since=&limit=)
+// @access  Private (Member only)
+router.get("/:id/messages/changes", getChanges("channel"));
+
+// @route   GET api/channels/:id/messages/:messageId/thread
+// @desc    Thread of a message: the root (replyCount, lastReplyAt) and a page of replies (?before=&after=&limit=)
+// @access  Private (Member only)
+router.get("/:id/messages/:messageId/thread", getThread("channel"));
+
+// @route   PUT api/channels/:id/messages/:messageId
+// @desc    Edit a message (sender only, within the edit window)
+// @access  Private (Member only)
+router.put("/:id/messages/:messageId", editMessage("channel"));
+
+// @route   DELETE api/channels/:id/messages/:messageId
+// @desc    Delete a message, leaving a tombstone (sender, owner or manageMessages role)
+// @access  Private (Member only)
+router.delete("/:id/messages/:messageId", deleteMessage("channel"));
+
+// @route   POST api/channels/:id/messages/:messageId/reactions
+// @desc    React to a message (body: emoji; one reaction per emoji per user)
+// @access  Private (Member only)
+router.post("/:id/messages/:messageId/reactions", react("channel", "added"));
+
+// @route   DELETE api/channels/:id/messages/:messageId/reactions/:emoji
+// @desc    Remove your reaction (emoji URL-encoded)
+// @access  Private (Member only)
+router.delete("/:id/messages/:messageId/reactions/:emoji", react("channel", "removed"));
+
+// @route   PUT api/channels/:id/messages/:messageId/read
+// @desc    Mark the channel as read up to this message
+// @access  Private (Member only)
+router.put("/:id/messages/:messageId/read", markRead("channel"));
+
+// @route   POST api/channels/:id/attachments
+// @desc    Upload an image, file or audio (multipart field "file") to send with send_message's attachmentId
+// @access  Private (Member only, not banned)
+router.post("/:id/attachments", uploadAttachment("channel"));
+
+// @route   POST api/channels/:id/voice-notes
+// @desc    Upload a voice note (multipart field "file"); transcoded to Opus/OGG with duration and waveform
+// @access  Private (Member only, not banned)
+router.post("/:id/voice-notes", uploadVoiceNote("channel"));
+
+// @route   GET api/channels/:id/attachments/:attachmentId
+// @desc    Download an attachment
+// @access  Private (Member only)
+router.get("/:id/attachments/:attachmentId", getAttachment("channel"));
+
+// @route   GET api/channels/:id/attachments/:attachmentId/thumbnail
+// @desc    Image attachment thumbnail (WebP)
+// @access  Private (Member only)
+router.get("/:id/attachments/:attachmentId/thumbnail", getAttachment("channel", "thumbnail"));
+
+// @route   GET api/channels/:id/bans
+// @desc    List channel bans (?status=active|all)
+// @access  Private (Owner or ADM)
+router.get("/:id/bans", authorize("channel.ban", loadChannel()), listBans("channel"));
+
+// @route   POST api/channels/:id/bans
+// @desc    Ban a user from the channel (duration in days, none = permanent)
+// @access  Private (Owner or ADM)
+router.post("/:id/bans", authorize("channel.ban", loadChannel()), banRules, createBan("channel"));
+
+// @route   DELETE api/channels/:id/bans/:userId
+// @desc    Lift a user's channel ban
+// @access  Private (Owner or ADM)
+router.delete("/:id/bans/:userId", authorize("channel.ban", loadChannel()), removeBan("channel"));
+
 module.exports = router;
 
 
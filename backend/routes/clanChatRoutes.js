@@ -75,27 +75,67 @@
  *           type: string
  *         required: true
  *         description: ID do clã
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor (pagination.before) para a página anterior
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor (pagination.after) para a página seguinte
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 100
  *     responses:
  *       200:
  *         description: Lista de mensagens do chat do clã
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   _id:
- *                     type: string
- *                   clan:
- *                     type: string
- *                   sender:
- *                     type: string
- *                   message:
- *                     type: string
- *                   createdAt:
- *                     type: string
- *                     format: date-time
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       clan:
+ *                         type: string
+ *                       sender:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     before:
+ *                       type: string
+ *                       nullable: true
+ *                     after:
+ *                       type: string
+ *                       nullable: true
+ *                     hasMoreBefore:
+ *                       type: boolean
+ *                       nullable: true
+ *                     hasMoreAfter:
+ *                       type: boolean
+ *                       nullable: true
+ *       400:
+ *         description: Cursor de paginação inválido
  *       401:
  *         description: Não autorizado
  *       404:
@@ -108,13 +148,51 @@ const express = require("express");
 const router = express.Router();
 const { protect } = require("../middleware/authMiddleware");
 const clanChatController = require("../controllers/clanChatController");
+const {
+  editMessage,
+  deleteMessage,
+  react,
+  markRead,
+  getChanges,
+  getThread,
+  uploadAttachment,
+  uploadVoiceNote,
+  getAttachment,
+} = require("../controllers/messageController");
 
 // Enviar mensagem
 router.post("/:clanId/message", protect, clanChatController.sendMessage);
 
-// Buscar mensagens
+// Buscar mensagens (paginação por cursor: ?before=&after=&limit=)
 router.get("/:clanId/messages", protect, clanChatController.getMessages);
 
+// Sincronizar: mensagens criadas, editadas, apagadas ou reagidas desde ?since= (cursor ou data ISO)
+router.get("/:clanId/messages/changes", protect, getChanges("clan"));
+
+// Fio da mensagem: raiz e respostas (paginação por cursor: ?before=&after=&limit=)
+router.get("/:clanId/messages/:messageId/thread", protect, getThread("clan"));
+
+// Editar mensagem (autor, dentro da janela de edição)
+router.put("/:clanId/messages/:messageId", protect, editMessage("clan"));
+
+// Apagar mensagem (autor ou moderador do clã)
+router.delete("/:clanId/messages/:messageId", protect, deleteMessage("clan"));
+
+// Reagir a uma mensagem (body: emoji) e remover a própria reação (emoji codificado na URL)
+router.post("/:clanId/messages/:messageId/reactions", protect, react("clan", "added"));
+router.delete("/:clanId/messages/:messageId/reactions/:emoji", protect, react("clan", "removed"));
+
+// Marcar o chat como lido até a mensagem
+router.put("/:clanId/messages/:messageId/read", protect, markRead("clan"));
+
+// Anexos: upload (multipart, campo "file") para enviar com attachmentId, download e miniatura
+router.post("/:clanId/attachments", protect, uploadAttachment("clan"));
+router.get("/:clanId/attachments/:attachmentId", protect, getAttachment("clan"));
+router.get("/:clanId/attachments/:attachmentId/thumbnail", protect, getAttachment("clan", "thumbnail"));
+
+// Nota de voz: convertida para Opus/OGG, com duração e forma de onda; enviar com attachmentId
+router.post("/:clanId/voice-notes", protect, uploadVoiceNote("clan"));
+
 module.exports = router;
 
 
@@ -0,0 +1,223 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true }); // :id vem de /api/clans/:id/diplomacy
+const Clan = require("../models/Clan");
+const DiplomacyProposal = require("../models/DiplomacyProposal");
+const DiplomacyEvent = require("../models/DiplomacyEvent");
+const { protect } = require("../middleware/authMiddleware");
+const { authorize, loadClan } = require("../middleware/authorize");
+const {
+  expirePendingProposals,
+  proposeRelation,
+  acceptProposal,
+  closeProposal,
+  declareWar,
+  breakRelation,
+} = require("../services/diplomacyService");
+const { check, validationResult } = require("express-validator");
+
+router.use(protect);
+
+// @route   GET /api/clans/:id/diplomacy
+// @desc    Relações atuais do clã e propostas pendentes (recebidas e enviadas)
+// @access  Private (Membros do Clã ou ADM)
+router.get("/", authorize("clan.viewDiplomacy", loadClan()), async (req, res) => {
+  const clan = req.clan; // Obtido do middleware
+
+  try {
+    await expirePendingProposals(clan._id);
+
+    const [relations, incoming, outgoing] = await Promise.all([
+      Clan.findById(clan._id)
+        .select("allies nonAggression enemies")
+        .populate("allies", "name tag banner")
+        .populate("nonAggression", "name tag banner")
+        .populate("enemies", "name tag banner"),
+      DiplomacyProposal.find({ toClan: clan._id, status: "pending" })
+        .populate("fromClan", "name tag banner")
+        .populate("proposedBy", "username"),
+      DiplomacyProposal.find({ fromClan: clan._id, status: "pending" })
+        .populate("toClan", "name tag banner")
+        .populate("proposedBy", "username"),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        allies: relations.allies,
+        nonAggression: relations.nonAggression,
+        enemies: relations.enemies,
+        proposals: { incoming, outgoing },
+      },
+    });
+  } catch (error) {
+    console.error("Erro ao obter diplomacia do clã:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   GET /api/clans/:id/diplomacy/history
+// @desc    Histórico de mudanças diplomáticas envolvendo o clã (paginado)
+// @access  Private (Membros do Clã ou ADM)
+router.get("/history", authorize("clan.viewDiplomacy", loadClan()), async (req, res) => {
+  const clan = req.clan; // Obtido do middleware
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 30, 1), 100);
+
+  try {
+    const filter = { clans: clan._id };
+    const [events, total] = await Promise.all([
+      DiplomacyEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("clans", "name tag")
+        .populate("actorClan", "name tag")
+        .populate("actor", "username")
+        .populate("proposal", "relation message"),
+      DiplomacyEvent.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, data: events, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+  } catch (error) {
+    console.error("Erro ao obter histórico diplomático:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   POST /api/clans/:id/diplomacy/proposals
+// @desc    Propor aliança, pacto de não agressão ou paz a outro clã
+// @access  Private (Líder ou Sub-líder do Clã ou ADM)
+router.post(
+  "/proposals",
+  authorize("clan.diplomacy", loadClan()),
+  [
+    check("clanId", "ID do clã alvo é obrigatório").isMongoId(),
+    check("relation", "Relação deve ser ally, nonAggression ou peace").isIn(["ally", "nonAggression", "peace"]),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const clan = req.clan; // Obtido do middleware
+    const { clanId, relation, message } = req.body;
+
+    try {
+      const otherClan = await Clan.findById(clanId);
+      if (!otherClan) {
+        return res.status(404).json({ msg: "Clã alvo não encontrado." });
+      }
+
+      const { error, proposal } = await proposeRelation({ clan, otherClan, relation, message, userId: req.user.id });
+      if (error) {
+        return res.status(400).json({ msg: error });
+      }
+
+      res.status(201).json({ success: true, msg: "Proposta diplomática enviada!", data: proposal });
+    } catch (error) {
+      console.error("Erro ao enviar proposta diplomática:", error);
+      res.status(500).json({ msg: "Erro interno do servidor." });
+    }
+  }
+);
+
+// Carrega a proposta pendente em que o clã da rota é o alvo (`to`) ou o autor (`from`)
+const findProposal = async (req, side) => {
+  await expirePendingProposals(req.clan._id);
+  return DiplomacyProposal.findOne({
+    _id: req.params.proposalId,
+    status: "pending",
+    [side === "to" ? "toClan" : "fromClan"]: req.clan._id,
+  });
+};
+
+// @route   PUT /api/clans/:id/diplomacy/proposals/:proposalId/accept
+// @desc    Aceitar uma proposta recebida (a relação passa a valer para os dois clãs)
+// @access  Private (Líder ou Sub-líder do Clã ou ADM)
+router.put("/proposals/:proposalId/accept", authorize("clan.diplomacy", loadClan()), async (req, res) => {
+  try {
+    const proposal = await findProposal(req, "to");
+    if (!proposal) {
+      return res.status(404).json({ msg: "Proposta pendente não encontrada." });
+    }
+
+    const { error, relation } = await acceptProposal({ proposal, clan: req.clan, userId: req.user.id });
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    res.json({ success: true, msg: "Proposta aceita!", relation });
+  } catch (error) {
+    console.error("Erro ao aceitar proposta diplomática:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   PUT /api/clans/:id/diplomacy/proposals/:proposalId/reject
+// @desc    Recusar uma proposta recebida
+// @access  Private (Líder ou Sub-líder do Clã ou ADM)
+router.put("/proposals/:proposalId/reject", authorize("clan.diplomacy", loadClan()), async (req, res) => {
+  try {
+    const proposal = await findProposal(req, "to");
+    if (!proposal) {
+      return res.status(404).json({ msg: "Proposta pendente não encontrada." });
+    }
+
+    await closeProposal({ proposal, clan: req.clan, userId: req.user.id, status: "rejected" });
+    res.json({ success: true, msg: "Proposta recusada." });
+  } catch (error) {
+    console.error("Erro ao recusar proposta diplomática:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   PUT /api/clans/:id/diplomacy/proposals/:proposalId/cancel
+// @desc    Cancelar uma proposta enviada
+// @access  Private (Líder ou Sub-líder do Clã ou ADM)
+router.put("/proposals/:proposalId/cancel", authorize("clan.diplomacy", loadClan()), async (req, res) => {
+  try {
+    const proposal = await findProposal(req, "from");
+    if (!proposal) {
+      return res.status(404).json({ msg: "Proposta pendente não encontrada." });
+    }
+
+    await closeProposal({ proposal, clan: req.clan, userId: req.user.id, status: "cancelled" });
+    res.json({ success: true, msg: "Proposta cancelada." });
+  } catch (error) {
+    console.error("Erro ao cancelar proposta diplomática:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// Executa uma ação unilateral (guerra ou rompimento) contra o clã de :clanId
+const unilateral = (action, successMsg) => async (req, res) => {
+  try {
+    const otherClan = await Clan.findById(req.params.clanId);
+    if (!otherClan) {
+      return res.status(404).json({ msg: "Clã alvo não encontrado." });
+    }
+
+    const { error } = await action({ clan: req.clan, otherClan, userId: req.user.id });
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    res.json({ success: true, msg: successMsg });
+  } catch (error) {
+    console.error("Erro ao alterar relação diplomática:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+};
+
+// @route   PUT /api/clans/:id/diplomacy/war/:clanId
+// @desc    Declarar guerra a outro clã (encerra aliança/pacto existente)
+// @access  Private (Líder ou Sub-líder do Clã ou ADM)
+router.put("/war/:clanId", authorize("clan.diplomacy", loadClan()), unilateral(declareWar, "Guerra declarada!"));
+
+// @route   PUT /api/clans/:id/diplomacy/break/:clanId
+// @desc    Romper aliança ou pacto de não agressão (volta a neutro)
+// @access  Private (Líder ou Sub-líder do Clã ou ADM)
+router.put("/break/:clanId", authorize("clan.diplomacy", loadClan()), unilateral(breakRelation, "Relação diplomática encerrada."));
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true }); // :id vem de /api/clans/:id/federation
+const Federation = require("../models/Federation");
+const Invite = require("../models/Invite");
+const { protect } = require("../middleware/authMiddleware");
+const { authorize, loadClan } = require("../middleware/authorize");
+const { expirePendingInvites, findPendingInvite, respondToInvite } = require("../services/inviteService");
+const { createAdmission, completeAdmission, detachClan } = require("../services/federationService");
+const { check, validationResult } = require("express-validator");
+
+router.use(protect);
+
+// @route   GET /api/clans/:id/federation/admissions
+// @desc    Convites de federações recebidos e solicitações enviadas pelo clã (filtro: status)
+// @access  Private (Líder ou Sub-líder do Clã ou ADM)
+router.get("/admissions", authorize("clan.viewFederationAdmissions", loadClan()), async (req, res) => {
+  const clan = req.clan; // Obtido do middleware
+
+  try {
+    await expirePendingInvites({ type: "federation", clan: clan._id });
+
+    const filter = { type: "federation", clan: clan._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const admissions = await Invite.find(filter)
+      .populate("target", "name banner")
+      .populate("sender", "username")
+      .populate("respondedBy", "username")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: admissions });
+  } catch (error) {
+    console.error("Erro ao listar admissões do clã:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   POST /api/clans/:id/federation/requests
+// @desc    Solicitar a entrada do clã em uma federação
+// @access  Private (Líder do Clã ou ADM)
+router.post(
+  "/requests",
+  authorize("clan.manageFederation", loadClan()),
+  [check("federationId", "ID da federação é obrigatório").isMongoId()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const federation = await Federation.findById(req.body.federationId);
+      if (!federation) {
+        return res.status(404).json({ msg: "Federação não encontrada" });
+      }
+
+      const { error, invite } = await createAdmission({
+        federation,
+        clan: req.clan,
+        kind: "request",
+        sender: req.user.id,
+        message: req.body.message,
+      });
+      if (error) {
+        return res.status(400).json({ msg: error });
+      }
+
+      res.status(201).json({ success: true, msg: "Solicitação enviada à federação!", data: invite });
+    } catch (error) {
+      console.error("Erro ao solicitar entrada na federação:", error);
+      res.status(500).json({ msg: "Erro interno do servidor." });
+    }
+  }
+);
+
+// Convite/solicitação pendente do clã da rota, do tipo informado
+const findAdmission = (req, kind) =>
+  findPendingInvite({ _id: req.params.inviteId, type: "federation", kind, clan: req.clan._id });
+
+// @route   PUT /api/clans/:id/federation/admissions/:inviteId/accept
+// @desc    Aceitar o convite de uma federação (o clã e seus membros entram nela)
+// @access  Private (Líder do Clã ou ADM)
+router.put("/admissions/:inviteId/accept", authorize("clan.manageFederation", loadClan()), async (req, res) => {
+  try {
+    const invite = await findAdmission(req, "invite");
+    if (!invite) {
+      return res.status(404).json({ msg: "Convite pendente não encontrado." });
+    }
+
+    const error = await completeAdmission(invite, req.user.id, { io: req.app.get("io") });
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    res.json({ success: true, msg: "Convite aceito. O clã entrou na federação!" });
+  } catch (error) {
+    console.error("Erro ao aceitar convite da federação:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   PUT /api/clans/:id/federation/admissions/:inviteId/reject
+// @desc    Recusar o convite de uma federação
+// @access  Private (Líder do Clã ou ADM)
+router.put("/admissions/:inviteId/reject", authorize("clan.manageFederation", loadClan()), async (req, res) => {
+  try {
+    const invite = await findAdmission(req, "invite");
+    if (!invite) {
+      return res.status(404).json({ msg: "Convite pendente não encontrado." });
+    }
+
+    await respondToInvite(invite, "rejected", req.user.id);
+    res.json({ success: true, msg: "Convite recusado." });
+  } catch (error) {
+    console.error("Erro ao recusar convite da federação:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   PUT /api/clans/:id/federation/admissions/:inviteId/cancel
+// @desc    Cancelar uma solicitação de entrada enviada pelo clã
+// @access  Private (Líder do Clã ou ADM)
+router.put("/admissions/:inviteId/cancel", authorize("clan.manageFederation", loadClan()), async (req, res) => {
+  try {
+    const request = await findAdmission(req, "request");
+    if (!request) {
+      return res.status(404).json({ msg: "Solicitação pendente não encontrada." });
+    }
+
+    await respondToInvite(request, "cancelled", req.user.id);
+    res.json({ success: true, msg: "Solicitação cancelada." });
+  } catch (error) {
+    console.error("Erro ao cancelar solicitação à federação:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   PUT /api/clans/:id/federation/leave
+// @desc    Retirar o clã da federação atual
+// @access  Private (Líder do Clã ou ADM)
+router.put("/leave", authorize("clan.manageFederation", loadClan()), async (req, res) => {
+  const clan = req.clan; // Obtido do middleware
+
+  try {
+    if (!clan.federation) {
+      return res.status(400).json({ msg: "O clã não pertence a nenhuma federação." });
+    }
+
+    const error = await detachClan(clan.federation, clan._id, { io: req.app.get("io") });
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    res.json({ success: true, msg: "O clã saiu da federação." });
+  } catch (error) {
+    console.error("Erro ao sair da federação:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+module.exports = router;
@@ -153,21 +153,9 @@
  *           type: string
  *         required: true
  *         description: ID da missão
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userId
- *             properties:
- *               userId:
- *                 type: string
- *                 description: ID do usuário que está confirmando presença
  *     responses:
  *       200:
- *         description: Presença confirmada com sucesso
+ *         description: Presença do usuário autenticado confirmada com sucesso
  *       400:
  *         description: Usuário já confirmou presença ou dados inválidos
  *       404:
@@ -237,25 +225,41 @@
 
 const express = require("express");
 const router = express.Router();
+const ClanMission = require("../models/ClanMission");
 const ClanMissionController = require("../controllers/ClanMissionController");
+const { protect } = require("../middleware/authMiddleware");
+const { authorize, loadClan, notFound } = require("../middleware/authorize");
+const { membershipOf } = require("../services/membershipService");
+
+// Carrega a missão (req.mission) e o clã dela para a política
+const loadMission = async (req) => {
+  const mission = await ClanMission.findById(req.params.id);
+  if (!mission) return notFound("Missão não encontrada");
+  const clan = await membershipOf(req).clan(mission.clanId);
+  if (!clan) return notFound("Clã não encontrado.");
+  req.mission = mission;
+  return { clan, ownerId: mission.createdBy };
+};
+
+router.use(protect);
 
 // Criar missão QRR
-router.post("/", ClanMissionController.createMission);
+router.post("/", authorize("mission.create", loadClan("clanId")), ClanMissionController.createMission);
 
 // Listar missões de um clã
-router.get("/clan/:clanId", ClanMissionController.listMissions);
+router.get("/clan/:clanId", authorize("mission.view", loadClan("clanId")), ClanMissionController.listMissions);
 
 // Buscar missão por ID
-router.get("/:id", ClanMissionController.getMission);
+router.get("/:id", authorize("mission.view", loadMission), ClanMissionController.getMission);
 
 // Confirmar presença
-router.post("/:id/confirm", ClanMissionController.confirmPresence);
+router.post("/:id/confirm", authorize("mission.confirm", loadMission), ClanMissionController.confirmPresence);
 
 // Adicionar estratégia (upload de imagem)
-router.post("/:id/strategy", ClanMissionController.addStrategyMedia);
+router.post("/:id/strategy", authorize("mission.addStrategy", loadMission), ClanMissionController.addStrategyMedia);
 
 // Cancelar missão
-router.post("/:id/cancel", ClanMissionController.cancelMission);
+router.post("/:id/cancel", authorize("mission.cancel", loadMission), ClanMissionController.cancelMission);
 
 module.exports = router;
 
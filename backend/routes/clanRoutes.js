@@ -2,48 +2,52 @@ const express = require("express");
 const router = express.Router();
 const Clan = require("../models/Clan");
 const User = require("../models/User");
-const Federation = require("../models/Federation"); // Importar o modelo Federation
+const Invite = require("../models/Invite");
 const { protect } = require("../middleware/authMiddleware");
+const { authorize, loadClan } = require("../middleware/authorize");
+const { CLAN_PERMISSIONS, clanRoleOf, customRolesOf, clanPermissionsOf } = require("../services/policyService");
+const { addMember, removeMember } = require("../services/clanService");
+const { isOnline } = require("../services/presenceService");
+const { closeScopeRoom } = require("../utils/socketRooms");
+const { checkBan } = require("../services/banService");
+const { banRules, listBans, createBan, removeBan } = require("../controllers/banController");
+const {
+  relationBetween,
+  proposeRelation,
+  declareWar,
+  breakRelation,
+  clearRelations,
+} = require("../services/diplomacyService");
+const { detachClan } = require("../services/federationService");
+const clanDiplomacyRoutes = require("./clanDiplomacyRoutes");
+const clanFederationRoutes = require("./clanFederationRoutes");
+const {
+  inviteExpiry,
+  expirePendingInvites,
+  findPendingInvite,
+  respondToInvite,
+} = require("../services/inviteService");
 const { check, validationResult } = require("express-validator");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 
-// Middleware para verificar se é ADM, líder do clã ou sub-líder do clã
-const checkClanLeaderOrSubLeader = async (req, res, next) => {
-  const clanId = req.params.id || req.body.clanId;
-  if (!clanId) {
-    return res.status(400).json({ msg: 'ID do clã é obrigatório.' });
-  }
-
-  try {
-    const clan = await Clan.findById(clanId);
-    if (!clan) {
-      return res.status(404).json({ msg: 'Clã não encontrado.' });
-    }
-
-    const isLeader = clan.leader && clan.leader.toString() === req.user.id;
-    const isSubLeader = clan.subLeaders && clan.subLeaders.includes(req.user.id);
-    const isAdmin = req.user.role === 'ADM';
-
-    if (isAdmin || isLeader || isSubLeader) {
-      req.clan = clan; // Anexa o clã ao objeto de requisição
-      next();
-    } else {
-      res.status(403).json({ msg: 'Acesso negado. Permissão insuficiente.' });
-    }
-  } catch (error) {
-    console.error('Erro no middleware checkClanLeaderOrSubLeader:', error);
-    res.status(500).json({ msg: 'Erro interno do servidor.' });
-  }
-};
-
-// Middleware para verificar se é ADM
-const checkAdmin = (req, res, next) => {
-  if (req.user.role !== 'ADM') {
-    return res.status(403).json({ msg: 'Acesso negado. Apenas administradores.' });
-  }
-  next();
+// Líder, sub-líder ou ADM (quem age apenas por cargo customizado não entra aqui)
+const isClanLeadership = (req) =>
+  req.user.role === "ADM" || ["leader", "subLeader"].includes(clanRoleOf(req.clan, req.user.id));
+
+// Normaliza o objeto de permissões recebido no corpo da requisição
+const parsePermissions = (input = {}) =>
+  CLAN_PERMISSIONS.reduce((acc, permission) => {
+    acc[permission] = input[permission] === true;
+    return acc;
+  }, {});
+
+// Quem age só por cargo customizado não pode conceder permissões que não possui
+const canGrantPermissions = (req, permissions) => {
+  if (isClanLeadership(req)) return true;
+  const own = clanPermissionsOf(req.clan, req.user.id);
+  return CLAN_PERMISSIONS.every(permission => !permissions[permission] || own.includes(permission));
 };
 
 // Configuração do Multer para upload de imagens
@@ -161,6 +165,7 @@ router.post(
       // Atualizar o usuário para ser líder do clã
       user.clan = clan._id;
       user.clanRole = "Leader";
+      user.clanJoinedAt = new Date();
       await user.save();
 
       res.status(201).json({ msg: "Clã criado com sucesso!", data: clan });
@@ -173,15 +178,20 @@ router.post(
 
 // @route   PUT /api/clans/:id
 // @desc    Atualizar informações de um clã
-// @access  Private (Líder do Clã ou ADM)
-router.put("/:id", protect, checkClanLeaderOrSubLeader, async (req, res) => {
-  const { name, description, rules } = req.body;
+// @access  Private (Líder ou Sub-líder do Clã ou ADM)
+router.put("/:id", protect, authorize("clan.update", loadClan()), async (req, res) => {
+  const { name, description, rules, membershipMode } = req.body;
   const clan = req.clan; // Obtido do middleware
 
   try {
+    if (membershipMode && !["open", "request", "invite"].includes(membershipMode)) {
+      return res.status(400).json({ msg: "Modo de entrada inválido (open, request ou invite)." });
+    }
+
     if (name) clan.name = name;
     if (description) clan.description = description;
     if (rules) clan.rules = rules;
+    if (membershipMode) clan.membershipMode = membershipMode;
 
     await clan.save();
     res.json({ success: true, data: clan });
@@ -193,11 +203,11 @@ router.put("/:id", protect, checkClanLeaderOrSubLeader, async (req, res) => {
 
 // @route   PUT /api/clans/:id/banner
 // @desc    Atualizar a bandeira (banner) de um clã
-// @access  Private (Líder do Clã ou ADM)
+// @access  Private (Líder ou Sub-líder do Clã ou ADM)
 router.put(
   "/:id/banner",
   protect,
-  checkClanLeaderOrSubLeader,
+  authorize("clan.banner", loadClan()),
   upload.single("banner"),
   async (req, res) => {
     const clan = req.clan; // Obtido do middleware
@@ -225,8 +235,43 @@ router.put(
   }
 );
 
+// Cria uma solicitação de entrada pendente para o usuário
+const createJoinRequest = async (req, res, clan, user) => {
+  if (user.clan) {
+    return res.status(400).json({ msg: "Você já pertence a um clã." });
+  }
+
+  const ban = await checkBan(user._id, "clan", clan._id);
+  if (ban) {
+    return res.status(403).json(ban);
+  }
+
+  if (clan.membershipMode === "invite") {
+    return res.status(403).json({ msg: "Este clã aceita novos membros apenas por convite." });
+  }
+
+  if (await findPendingInvite({ type: "clan", kind: "invite", target: clan._id, recipient: user._id })) {
+    return res.status(400).json({ msg: "Você já tem um convite pendente deste clã. Aceite-o para entrar." });
+  }
+
+  if (await findPendingInvite({ type: "clan", kind: "request", target: clan._id, sender: user._id })) {
+    return res.status(400).json({ msg: "Você já tem uma solicitação pendente para este clã." });
+  }
+
+  const request = await Invite.create({
+    type: "clan",
+    kind: "request",
+    target: clan._id,
+    sender: user._id,
+    message: req.body.message,
+    expiresAt: inviteExpiry(),
+  });
+
+  return res.status(202).json({ success: true, msg: "Solicitação de entrada enviada!", data: request });
+};
+
 // @route   PUT /api/clans/:id/join
-// @desc    Entrar em um clã
+// @desc    Entrar em um clã (modo open) ou solicitar entrada (modo request)
 // @access  Private
 router.put("/:id/join", protect, async (req, res) => {
   const { id } = req.params;
@@ -238,20 +283,20 @@ router.put("/:id/join", protect, async (req, res) => {
     }
 
     const user = await User.findById(req.user.id);
-    if (user.clan) {
-      return res.status(400).json({ msg: "Você já pertence a um clã." });
-    }
 
-    if (clan.members.includes(req.user.id)) {
-      return res.status(400).json({ msg: "Você já é membro deste clã." });
+    if (clan.membershipMode !== "open") {
+      return createJoinRequest(req, res, clan, user);
     }
 
-    clan.members.push(req.user.id);
-    await clan.save();
+    const ban = await checkBan(user._id, "clan", clan._id);
+    if (ban) {
+      return res.status(403).json(ban);
+    }
 
-    user.clan = clan._id;
-    user.clanRole = "member";
-    await user.save();
+    const error = await addMember(clan, user, { io: req.app.get("io") });
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
 
     res.json({ success: true, msg: "Entrou no clã com sucesso!" });
   } catch (error) {
@@ -260,6 +305,177 @@ router.put("/:id/join", protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/clans/:id/requests
+// @desc    Solicitar entrada em um clã
+// @access  Private
+router.post("/:id/requests", protect, async (req, res) => {
+  try {
+    const clan = await Clan.findById(req.params.id);
+    if (!clan) {
+      return res.status(404).json({ msg: "Clã não encontrado." });
+    }
+
+    const user = await User.findById(req.user.id);
+    return createJoinRequest(req, res, clan, user);
+  } catch (error) {
+    console.error("Erro ao solicitar entrada no clã:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   PUT /api/clans/:id/requests/:requestId/approve
+// @desc    Aprovar uma solicitação de entrada
+// @access  Private (Líder, Sub-líder, cargo com manageMembers ou ADM)
+router.put("/:id/requests/:requestId/approve", protect, authorize("clan.manageRequests", loadClan()), async (req, res) => {
+  const clan = req.clan; // Obtido do middleware
+
+  try {
+    const request = await findPendingInvite({ _id: req.params.requestId, type: "clan", kind: "request", target: clan._id });
+    if (!request) {
+      return res.status(404).json({ msg: "Solicitação pendente não encontrada." });
+    }
+
+    const applicant = await User.findById(request.sender);
+    if (!applicant) {
+      await respondToInvite(request, "cancelled", req.user.id);
+      return res.status(404).json({ msg: "Usuário não encontrado." });
+    }
+
+    const error = await addMember(clan, applicant, { io: req.app.get("io") });
+    if (error) {
+      // Já está em outro clã (ou foi banido): o pedido não tem mais como ser aceito
+      await respondToInvite(request, "cancelled", req.user.id);
+      return res.status(400).json({ msg: error });
+    }
+
+    await respondToInvite(request, "accepted", req.user.id);
+    res.json({ success: true, msg: "Solicitação aprovada. Usuário entrou no clã!" });
+  } catch (error) {
+    console.error("Erro ao aprovar solicitação:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   PUT /api/clans/:id/requests/:requestId/deny
+// @desc    Recusar uma solicitação de entrada
+// @access  Private (Líder, Sub-líder, cargo com manageMembers ou ADM)
+router.put("/:id/requests/:requestId/deny", protect, authorize("clan.manageRequests", loadClan()), async (req, res) => {
+  const clan = req.clan; // Obtido do middleware
+
+  try {
+    const request = await findPendingInvite({ _id: req.params.requestId, type: "clan", kind: "request", target: clan._id });
+    if (!request) {
+      return res.status(404).json({ msg: "Solicitação pendente não encontrada." });
+    }
+
+    await respondToInvite(request, "rejected", req.user.id);
+    res.json({ success: true, msg: "Solicitação recusada." });
+  } catch (error) {
+    console.error("Erro ao recusar solicitação:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   POST /api/clans/:id/invites
+// @desc    Convidar um usuário para o clã
+// @access  Private (Líder, Sub-líder, cargo com manageMembers ou ADM)
+router.post(
+  "/:id/invites",
+  protect,
+  authorize("clan.invite", loadClan()),
+  [check("userId", "ID do usuário é obrigatório").isMongoId()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const clan = req.clan; // Obtido do middleware
+    const { userId, message } = req.body;
+
+    try {
+      const recipient = await User.findById(userId);
+      if (!recipient) {
+        return res.status(404).json({ msg: "Usuário não encontrado." });
+      }
+
+      if (recipient.clan) {
+        return res.status(400).json({ msg: "Usuário já pertence a um clã." });
+      }
+
+      if (await checkBan(recipient._id, "clan", clan._id)) {
+        return res.status(400).json({ msg: "Usuário está banido deste clã." });
+      }
+
+      if (await findPendingInvite({ type: "clan", kind: "invite", target: clan._id, recipient: userId })) {
+        return res.status(400).json({ msg: "Este usuário já tem um convite pendente deste clã." });
+      }
+
+      const invite = await Invite.create({
+        type: "clan",
+        kind: "invite",
+        target: clan._id,
+        sender: req.user.id,
+        recipient: userId,
+        message,
+        expiresAt: inviteExpiry(),
+      });
+
+      res.status(201).json({ success: true, msg: "Convite enviado!", data: invite });
+    } catch (error) {
+      console.error("Erro ao convidar usuário:", error);
+      res.status(500).json({ msg: "Erro interno do servidor." });
+    }
+  }
+);
+
+// @route   GET /api/clans/:id/invites
+// @desc    Histórico de convites e solicitações do clã (filtros: status, kind)
+// @access  Private (Líder, Sub-líder, cargo com manageMembers ou ADM)
+router.get("/:id/invites", protect, authorize("clan.viewInvites", loadClan()), async (req, res) => {
+  const clan = req.clan; // Obtido do middleware
+  const { status, kind } = req.query;
+
+  try {
+    await expirePendingInvites({ type: "clan", target: clan._id });
+
+    const filter = { type: "clan", target: clan._id };
+    if (status) filter.status = status;
+    if (kind) filter.kind = kind;
+
+    const invites = await Invite.find(filter)
+      .populate("sender", "username avatar")
+      .populate("recipient", "username avatar")
+      .populate("respondedBy", "username")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: invites });
+  } catch (error) {
+    console.error("Erro ao listar convites do clã:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   PUT /api/clans/:id/invites/:inviteId/cancel
+// @desc    Cancelar um convite pendente
+// @access  Private (Líder, Sub-líder, cargo com manageMembers ou ADM)
+router.put("/:id/invites/:inviteId/cancel", protect, authorize("clan.invite", loadClan()), async (req, res) => {
+  const clan = req.clan; // Obtido do middleware
+
+  try {
+    const invite = await findPendingInvite({ _id: req.params.inviteId, type: "clan", kind: "invite", target: clan._id });
+    if (!invite) {
+      return res.status(404).json({ msg: "Convite pendente não encontrado." });
+    }
+
+    await respondToInvite(invite, "cancelled", req.user.id);
+    res.json({ success: true, msg: "Convite cancelado." });
+  } catch (error) {
+    console.error("Erro ao cancelar convite:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
 // @route   PUT /api/clans/:id/leave
 // @desc    Sair de um clã
 // @access  Private
@@ -283,16 +499,7 @@ router.put("/:id/leave", protect, async (req, res) => {
       return res.status(400).json({ msg: "Líder não pode sair do clã sem transferir a liderança primeiro." });
     }
 
-    clan.members = clan.members.filter(member => member.toString() !== req.user.id);
-    // Se o usuário for um sub-líder, remove-o da lista de sub-líderes
-    if (clan.subLeaders.includes(req.user.id)) {
-      clan.subLeaders = clan.subLeaders.filter(subLeader => subLeader.toString() !== req.user.id);
-    }
-    await clan.save();
-
-    user.clan = null;
-    user.clanRole = null;
-    await user.save();
+    await removeMember(clan, user, { io: req.app.get("io") });
 
     res.json({ success: true, msg: "Saiu do clã com sucesso!" });
   } catch (error) {
@@ -301,10 +508,11 @@ router.put("/:id/leave", protect, async (req, res) => {
   }
 });
 
-// @route   PUT /api/clans/:id/promote/:userId
-// @desc    Promover um membro a sub-líder
-// @access  Private (Líder do Clã ou ADM)
-router.put("/:id/promote/:userId", protect, checkClanLeaderOrSubLeader, async (req, res) => {
+// Handlers compartilhados entre as rotas legadas (promote/demote/transfer/kick)
+// e o recurso canônico /api/clans/:id/members.
+
+// Promover um membro a sub-líder
+const promoteMember = async (req, res) => {
   const { userId } = req.params;
   const clan = req.clan; // Obtido do middleware
 
@@ -314,14 +522,20 @@ router.put("/:id/promote/:userId", protect, checkClanLeaderOrSubLeader, async (r
       return res.status(404).json({ msg: "Usuário não encontrado." });
     }
 
-    if (!clan.members.includes(userId)) {
+    const currentRole = clanRoleOf(clan, userId);
+    if (!currentRole) {
       return res.status(400).json({ msg: "Usuário não é membro deste clã." });
     }
 
-    if (userToPromote.clanRole === "Leader" || userToPromote.clanRole === "SubLeader") {
+    if (currentRole !== "member") {
       return res.status(400).json({ msg: "Usuário já é líder ou sub-líder." });
     }
 
+    // Cargo customizado com manageMembers não nomeia sub-líderes (nem a si mesmo)
+    if (!isClanLeadership(req) || userId === req.user.id) {
+      return res.status(403).json({ msg: "Apenas líder ou sub-líder podem promover a sub-líder." });
+    }
+
     // Adicionar à lista de sub-líderes do clã
     clan.subLeaders.push(userId);
     await clan.save();
@@ -335,12 +549,10 @@ router.put("/:id/promote/:userId", protect, checkClanLeaderOrSubLeader, async (r
     console.error("Erro ao promover membro:", error);
     res.status(500).json({ msg: "Erro interno do servidor." });
   }
-});
+};
 
-// @route   PUT /api/clans/:id/demote/:userId
-// @desc    Rebaixar um sub-líder a membro comum
-// @access  Private (Líder do Clã ou ADM)
-router.put("/:id/demote/:userId", protect, checkClanLeaderOrSubLeader, async (req, res) => {
+// Rebaixar um sub-líder a membro comum
+const demoteMember = async (req, res) => {
   const { userId } = req.params;
   const clan = req.clan; // Obtido do middleware
 
@@ -350,10 +562,15 @@ router.put("/:id/demote/:userId", protect, checkClanLeaderOrSubLeader, async (re
       return res.status(404).json({ msg: "Usuário não encontrado." });
     }
 
-    if (userToDemote.clanRole !== "SubLeader") {
+    if (clanRoleOf(clan, userId) !== "subLeader") {
       return res.status(400).json({ msg: "Usuário não é sub-líder." });
     }
 
+    // Cargo customizado com manageMembers não rebaixa a liderança
+    if (!isClanLeadership(req)) {
+      return res.status(403).json({ msg: "Apenas líder ou sub-líder podem rebaixar sub-líderes." });
+    }
+
     // Remover da lista de sub-líderes do clã
     clan.subLeaders = clan.subLeaders.filter(subLeader => subLeader.toString() !== userId);
     await clan.save();
@@ -367,12 +584,10 @@ router.put("/:id/demote/:userId", protect, checkClanLeaderOrSubLeader, async (re
     console.error("Erro ao rebaixar membro:", error);
     res.status(500).json({ msg: "Erro interno do servidor." });
   }
-});
+};
 
-// @route   PUT /api/clans/:id/transfer/:userId
-// @desc    Transferir liderança do clã
-// @access  Private (Líder do Clã ou ADM)
-router.put("/:id/transfer/:userId", protect, checkClanLeaderOrSubLeader, async (req, res) => {
+// Transferir liderança do clã
+const transferLeadership = async (req, res) => {
   const { userId } = req.params;
   const clan = req.clan; // Obtido do middleware
 
@@ -382,10 +597,14 @@ router.put("/:id/transfer/:userId", protect, checkClanLeaderOrSubLeader, async (
       return res.status(404).json({ msg: "Novo líder não encontrado." });
     }
 
-    if (!clan.members.includes(userId)) {
+    if (!clanRoleOf(clan, userId)) {
       return res.status(400).json({ msg: "O novo líder deve ser um membro do clã." });
     }
 
+    if (clan.leader.toString() === userId) {
+      return res.status(400).json({ msg: "Usuário já é o líder do clã." });
+    }
+
     // Atualizar o antigo líder
     const oldLeader = await User.findById(clan.leader);
     if (oldLeader) {
@@ -408,12 +627,10 @@ router.put("/:id/transfer/:userId", protect, checkClanLeaderOrSubLeader, async (
     console.error("Erro ao transferir liderança:", error);
     res.status(500).json({ msg: "Erro interno do servidor." });
   }
-});
+};
 
-// @route   PUT /api/clans/:id/kick/:userId
-// @desc    Expulsar um membro do clã
-// @access  Private (Líder ou Sub-líder do Clã ou ADM)
-router.put("/:id/kick/:userId", protect, checkClanLeaderOrSubLeader, async (req, res) => {
+// Expulsar um membro do clã
+const kickMember = async (req, res) => {
   const { userId } = req.params;
   const clan = req.clan; // Obtido do middleware
 
@@ -423,55 +640,209 @@ router.put("/:id/kick/:userId", protect, checkClanLeaderOrSubLeader, async (req,
       return res.status(404).json({ msg: "Usuário não encontrado." });
     }
 
-    if (!clan.members.includes(userId)) {
+    const targetRole = clanRoleOf(clan, userId);
+    if (!targetRole) {
       return res.status(400).json({ msg: "Usuário não é membro deste clã." });
     }
 
     // Não permitir que o líder seja expulso por um sub-líder ou por si mesmo
-    if (clan.leader.toString() === userId) {
+    if (targetRole === "leader") {
       return res.status(400).json({ msg: "Não é possível expulsar o líder do clã." });
     }
 
-    // Remover o usuário do clã
-    clan.members = clan.members.filter(member => member.toString() !== userId);
-    // Se o usuário for um sub-líder, remove-o da lista de sub-líderes
-    if (clan.subLeaders.includes(userId)) {
-      clan.subLeaders = clan.subLeaders.filter(subLeader => subLeader.toString() !== userId);
+    // Cargo customizado com kickMembers só expulsa membros comuns
+    if (!isClanLeadership(req) && targetRole === "subLeader") {
+      return res.status(403).json({ msg: "Apenas líder ou sub-líder podem expulsar sub-líderes." });
     }
-    await clan.save();
 
-    // Limpar o clã e o papel do clã do usuário expulso
-    userToKick.clan = null;
-    userToKick.clanRole = null;
-    await userToKick.save();
+    // Remover o usuário do clã (e seus cargos customizados)
+    await removeMember(clan, userToKick, { io: req.app.get("io") });
 
     res.json({ success: true, msg: "Membro expulso do clã com sucesso!" });
   } catch (error) {
     console.error("Erro ao expulsar membro:", error);
     res.status(500).json({ msg: "Erro interno do servidor." });
   }
+};
+
+// @route   PUT /api/clans/:id/promote/:userId
+// @desc    Promover um membro a sub-líder (legado, ver PUT /:id/members/:userId/role)
+// @access  Private (Líder, Sub-líder, cargo com manageMembers ou ADM)
+router.put("/:id/promote/:userId", protect, authorize("clan.promote", loadClan()), promoteMember);
+
+// @route   PUT /api/clans/:id/demote/:userId
+// @desc    Rebaixar um sub-líder a membro comum (legado, ver PUT /:id/members/:userId/role)
+// @access  Private (Líder, Sub-líder, cargo com manageMembers ou ADM)
+router.put("/:id/demote/:userId", protect, authorize("clan.demote", loadClan()), demoteMember);
+
+// @route   PUT /api/clans/:id/transfer/:userId
+// @desc    Transferir liderança do clã
+// @access  Private (Líder do Clã ou ADM)
+router.put("/:id/transfer/:userId", protect, authorize("clan.transfer", loadClan()), transferLeadership);
+
+// @route   PUT /api/clans/:id/kick/:userId
+// @desc    Expulsar um membro do clã (legado, ver DELETE /:id/members/:userId)
+// @access  Private (Líder, Sub-líder, cargo com kickMembers ou ADM)
+router.put("/:id/kick/:userId", protect, authorize("clan.kick", loadClan()), kickMember);
+
+// Papel de clã no formato usado pelo app (models/role_model.dart)
+const MEMBER_ROLE_LABELS = { leader: "Leader", subLeader: "SubLeader", member: "Member" };
+
+// @route   GET /api/clans/:id/members
+// @desc    Listar membros do clã com papéis, cargos customizados, status online e data de entrada (paginado)
+// @access  Private (Membros do Clã ou ADM)
+router.get("/:id/members", protect, authorize("clan.viewMembers", loadClan()), async (req, res) => {
+  const clan = req.clan; // Obtido do middleware
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+  try {
+    // Líder primeiro, depois sub-líderes e membros comuns
+    const rank = { leader: 0, subLeader: 1, member: 2 };
+    const memberIds = clan.members
+      .map(id => id.toString())
+      .sort((a, b) => rank[clanRoleOf(clan, a)] - rank[clanRoleOf(clan, b)]);
+    const pageIds = memberIds.slice((page - 1) * limit, page * limit);
+
+    const users = await User.find({ _id: { $in: pageIds } }).select("username avatar status clanJoinedAt");
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const members = pageIds
+      .filter(id => usersById.has(id))
+      .map(id => {
+        const user = usersById.get(id);
+        return {
+          user: { _id: user._id, username: user.username, avatar: user.avatar, status: user.status },
+          role: MEMBER_ROLE_LABELS[clanRoleOf(clan, id)],
+          customRoles: customRolesOf(clan, id).map(role => ({ _id: role._id, name: role.name, color: role.color })),
+          isOnline: isOnline(id),
+          joinedAt: user.clanJoinedAt,
+        };
+      });
+
+    res.json({
+      success: true,
+      members,
+      pagination: {
+        page,
+        limit,
+        total: memberIds.length,
+        pages: Math.ceil(memberIds.length / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Erro ao listar membros do clã:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
 });
 
+// @route   POST /api/clans/:id/members
+// @desc    Adicionar um usuário diretamente ao clã
+// @access  Private (Líder, Sub-líder, cargo com manageMembers ou ADM)
+router.post(
+  "/:id/members",
+  protect,
+  authorize("clan.addMember", loadClan()),
+  [check("userId", "ID do usuário é obrigatório").isMongoId()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const clan = req.clan; // Obtido do middleware
+
+    try {
+      const user = await User.findById(req.body.userId);
+      if (!user) {
+        return res.status(404).json({ msg: "Usuário não encontrado." });
+      }
+
+      const error = await addMember(clan, user, { io: req.app.get("io") });
+      if (error) {
+        return res.status(400).json({ msg: error });
+      }
+
+      // Convites e solicitações pendentes deixam de fazer sentido
+      await Invite.updateMany(
+        { type: "clan", target: clan._id, status: "pending", $or: [{ recipient: user._id }, { sender: user._id }] },
+        { $set: { status: "cancelled", respondedBy: req.user.id, respondedAt: new Date() } }
+      );
+
+      res.status(201).json({ success: true, msg: "Membro adicionado ao clã com sucesso!" });
+    } catch (error) {
+      console.error("Erro ao adicionar membro:", error);
+      res.status(500).json({ msg: "Erro interno do servidor." });
+    }
+  }
+);
+
+// @route   DELETE /api/clans/:id/members/:userId
+// @desc    Remover (expulsar) um membro do clã
+// @access  Private (Líder, Sub-líder, cargo com kickMembers ou ADM)
+router.delete("/:id/members/:userId", protect, authorize("clan.kick", loadClan()), kickMember);
+
+// Papel pedido em PUT /:id/members/:userId/role -> ação de permissão e handler
+const ROLE_CHANGES = {
+  leader: { action: "clan.transfer", handler: transferLeadership },
+  subleader: { action: "clan.promote", handler: promoteMember },
+  member: { action: "clan.demote", handler: demoteMember },
+};
+
+// @route   PUT /api/clans/:id/members/:userId/role
+// @desc    Alterar o papel de um membro (body: role = Leader, SubLeader ou Member)
+// @access  Private (conforme o papel: transfer, promote ou demote)
+router.put(
+  "/:id/members/:userId/role",
+  protect,
+  (req, res, next) => {
+    req.roleChange = ROLE_CHANGES[String(req.body.role || "").toLowerCase()];
+    if (!req.roleChange) {
+      return res.status(400).json({ msg: "Papel inválido (Leader, SubLeader ou Member)." });
+    }
+    authorize(req.roleChange.action, loadClan())(req, res, next);
+  },
+  (req, res) => req.roleChange.handler(req, res)
+);
+
+// @route   GET /api/clans/:id/bans
+// @desc    Listar bans do clã (?status=active|all)
+// @access  Private (Líder, Sub-líder, cargo com kickMembers ou ADM)
+router.get("/:id/bans", protect, authorize("clan.viewBans", loadClan()), listBans("clan"));
+
+// @route   POST /api/clans/:id/bans
+// @desc    Banir um usuário do clã (expulsa se for membro; duration em dias, sem duração = permanente)
+// @access  Private (Líder, Sub-líder, cargo com kickMembers ou ADM)
+router.post("/:id/bans", protect, authorize("clan.ban", loadClan()), banRules, createBan("clan"));
+
+// @route   DELETE /api/clans/:id/bans/:userId
+// @desc    Remover o ban de um usuário do clã
+// @access  Private (Líder, Sub-líder, cargo com kickMembers ou ADM)
+router.delete("/:id/bans/:userId", protect, authorize("clan.ban", loadClan()), removeBan("clan"));
+
 // @route   DELETE /api/clans/:id
 // @desc    Deletar um clã
 // @access  Private (Líder do Clã ou ADM)
-router.delete("/:id", protect, checkClanLeaderOrSubLeader, async (req, res) => {
+router.delete("/:id", protect, authorize("clan.delete", loadClan()), async (req, res) => {
   const clan = req.clan; // Obtido do middleware
 
   try {
-    // Remover o clã de todos os usuários que pertencem a ele
-    await User.updateMany({ clan: clan._id }, { $set: { clan: null, clanRole: null } });
-
-    // Remover o clã da federação, se estiver em uma
+    // Remover o clã (e os vínculos dos membros) da federação, se estiver em uma
     if (clan.federation) {
-      const federation = await Federation.findById(clan.federation);
-      if (federation) {
-        federation.clans = federation.clans.filter(c => c.toString() !== clan._id.toString());
-        await federation.save();
+      const federationError = await detachClan(clan.federation, clan._id, { io: req.app.get("io") });
+      if (federationError) {
+        return res.status(400).json({ msg: federationError });
       }
     }
 
+    // Remover o clã de todos os usuários que pertencem a ele
+    await User.updateMany({ clan: clan._id }, { $set: { clan: null, clanRole: null, clanJoinedAt: null } });
+
+    // Encerrar alianças, pactos e guerras com outros clãs
+    await clearRelations(clan._id);
+
     await clan.deleteOne();
+    closeScopeRoom(req.app.get("io"), "clan", clan._id);
 
     res.json({ success: true, msg: "Clã deletado com sucesso!" });
   } catch (error) {
@@ -480,10 +851,16 @@ router.delete("/:id", protect, checkClanLeaderOrSubLeader, async (req, res) => {
   }
 });
 
+// Diplomacia (propostas, guerra, histórico)
+router.use("/:id/diplomacy", clanDiplomacyRoutes);
+
+// Entrada e saída do clã em federações
+router.use("/:id/federation", clanFederationRoutes);
+
 // @route   PUT /api/clans/:id/ally/:allyId
-// @desc    Adicionar um clã como aliado
-// @access  Private (Líder do Clã ou ADM)
-router.put("/:id/ally/:allyId", protect, checkClanLeaderOrSubLeader, async (req, res) => {
+// @desc    Propor aliança a um clã (legado, ver POST /:id/diplomacy/proposals)
+// @access  Private (Líder ou Sub-líder do Clã ou ADM)
+router.put("/:id/ally/:allyId", protect, authorize("clan.diplomacy", loadClan()), async (req, res) => {
   const { allyId } = req.params;
   const clan = req.clan; // Obtido do middleware
 
@@ -493,24 +870,22 @@ router.put("/:id/ally/:allyId", protect, checkClanLeaderOrSubLeader, async (req,
       return res.status(404).json({ msg: "Clã aliado não encontrado." });
     }
 
-    if (clan.allies.includes(allyId)) {
-      return res.status(400).json({ msg: "Este clã já é seu aliado." });
+    const { error, proposal } = await proposeRelation({ clan, otherClan: allyClan, relation: "ally", userId: req.user.id });
+    if (error) {
+      return res.status(400).json({ msg: error });
     }
 
-    clan.allies.push(allyId);
-    await clan.save();
-
-    res.json({ success: true, msg: "Clã adicionado como aliado com sucesso!" });
+    res.status(202).json({ success: true, msg: "Proposta de aliança enviada. O outro clã precisa aceitar.", data: proposal });
   } catch (error) {
-    console.error("Erro ao adicionar aliado:", error);
+    console.error("Erro ao propor aliança:", error);
     res.status(500).json({ msg: "Erro interno do servidor." });
   }
 });
 
 // @route   PUT /api/clans/:id/enemy/:enemyId
-// @desc    Adicionar um clã como inimigo
-// @access  Private (Líder do Clã ou ADM)
-router.put("/:id/enemy/:enemyId", protect, checkClanLeaderOrSubLeader, async (req, res) => {
+// @desc    Declarar guerra a um clã (legado, ver PUT /:id/diplomacy/war/:clanId)
+// @access  Private (Líder ou Sub-líder do Clã ou ADM)
+router.put("/:id/enemy/:enemyId", protect, authorize("clan.diplomacy", loadClan()), async (req, res) => {
   const { enemyId } = req.params;
   const clan = req.clan; // Obtido do middleware
 
@@ -520,13 +895,11 @@ router.put("/:id/enemy/:enemyId", protect, checkClanLeaderOrSubLeader, async (re
       return res.status(404).json({ msg: "Clã inimigo não encontrado." });
     }
 
-    if (clan.enemies.includes(enemyId)) {
-      return res.status(400).json({ msg: "Este clã já é seu inimigo." });
+    const { error } = await declareWar({ clan, otherClan: enemyClan, userId: req.user.id });
+    if (error) {
+      return res.status(400).json({ msg: error });
     }
 
-    clan.enemies.push(enemyId);
-    await clan.save();
-
     res.json({ success: true, msg: "Clã adicionado como inimigo com sucesso!" });
   } catch (error) {
     console.error("Erro ao adicionar inimigo:", error);
@@ -535,19 +908,23 @@ router.put("/:id/enemy/:enemyId", protect, checkClanLeaderOrSubLeader, async (re
 });
 
 // @route   PUT /api/clans/:id/remove-ally/:allyId
-// @desc    Remover um clã aliado
-// @access  Private (Líder do Clã ou ADM)
-router.put("/:id/remove-ally/:allyId", protect, checkClanLeaderOrSubLeader, async (req, res) => {
+// @desc    Romper aliança com um clã (legado, ver PUT /:id/diplomacy/break/:clanId)
+// @access  Private (Líder ou Sub-líder do Clã ou ADM)
+router.put("/:id/remove-ally/:allyId", protect, authorize("clan.diplomacy", loadClan()), async (req, res) => {
   const { allyId } = req.params;
   const clan = req.clan; // Obtido do middleware
 
   try {
-    if (!clan.allies.includes(allyId)) {
+    if (relationBetween(clan, allyId) !== "ally") {
       return res.status(400).json({ msg: "Este clã não é seu aliado." });
     }
 
-    clan.allies = clan.allies.filter(ally => ally.toString() !== allyId);
-    await clan.save();
+    const allyClan = await Clan.findById(allyId);
+    if (!allyClan) {
+      return res.status(404).json({ msg: "Clã aliado não encontrado." });
+    }
+
+    await breakRelation({ clan, otherClan: allyClan, userId: req.user.id });
 
     res.json({ success: true, msg: "Clã aliado removido com sucesso!" });
   } catch (error) {
@@ -557,23 +934,234 @@ router.put("/:id/remove-ally/:allyId", protect, checkClanLeaderOrSubLeader, asyn
 });
 
 // @route   PUT /api/clans/:id/remove-enemy/:enemyId
-// @desc    Remover um clã inimigo
-// @access  Private (Líder do Clã ou ADM)
-router.put("/:id/remove-enemy/:enemyId", protect, checkClanLeaderOrSubLeader, async (req, res) => {
+// @desc    Propor paz a um clã inimigo (legado, ver POST /:id/diplomacy/proposals)
+// @access  Private (Líder ou Sub-líder do Clã ou ADM)
+router.put("/:id/remove-enemy/:enemyId", protect, authorize("clan.diplomacy", loadClan()), async (req, res) => {
   const { enemyId } = req.params;
   const clan = req.clan; // Obtido do middleware
 
   try {
-    if (!clan.enemies.includes(enemyId)) {
+    if (relationBetween(clan, enemyId) !== "war") {
       return res.status(400).json({ msg: "Este clã não é seu inimigo." });
     }
 
-    clan.enemies = clan.enemies.filter(enemy => enemy.toString() !== enemyId);
+    const enemyClan = await Clan.findById(enemyId);
+    if (!enemyClan) {
+      return res.status(404).json({ msg: "Clã inimigo não encontrado." });
+    }
+
+    const { error, proposal } = await proposeRelation({ clan, otherClan: enemyClan, relation: "peace", userId: req.user.id });
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    res.status(202).json({ success: true, msg: "Proposta de paz enviada. O outro clã precisa aceitar.", data: proposal });
+  } catch (error) {
+    console.error("Erro ao propor paz:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   GET /api/clans/:id/roles
+// @desc    Listar cargos customizados do clã e quem os possui
+// @access  Private (Membros do Clã ou ADM)
+router.get("/:id/roles", protect, authorize("clan.viewRoles", loadClan()), async (req, res) => {
+  const clan = req.clan; // Obtido do middleware
+
+  try {
+    const roles = clan.customRoles.map(role => ({
+      ...role.toObject(),
+      members: clan.memberRoles
+        .filter(mr => mr.role === role._id.toString())
+        .map(mr => mr.user),
+    }));
+
+    res.json({ success: true, data: roles });
+  } catch (error) {
+    console.error("Erro ao listar cargos do clã:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   POST /api/clans/:id/roles
+// @desc    Criar um cargo customizado
+// @access  Private (Líder, Sub-líder, cargo com manageRoles ou ADM)
+router.post(
+  "/:id/roles",
+  protect,
+  authorize("clan.manageRoles", loadClan()),
+  [
+    check("name", "Nome do cargo é obrigatório").trim().not().isEmpty(),
+    check("color", "Cor deve estar no formato #RRGGBB").optional().matches(/^#[0-9A-Fa-f]{6}$/),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const clan = req.clan; // Obtido do middleware
+    const { name, color } = req.body;
+    const permissions = parsePermissions(req.body.permissions);
+
+    try {
+      if (clan.customRoles.some(role => role.name.toLowerCase() === name.toLowerCase())) {
+        return res.status(400).json({ msg: "Já existe um cargo com este nome." });
+      }
+
+      if (!canGrantPermissions(req, permissions)) {
+        return res.status(403).json({ msg: "Você não pode conceder permissões que não possui." });
+      }
+
+      clan.customRoles.push({ name, color, permissions });
+      await clan.save();
+
+      res.status(201).json({ success: true, data: clan.customRoles[clan.customRoles.length - 1] });
+    } catch (error) {
+      console.error("Erro ao criar cargo:", error);
+      res.status(500).json({ msg: "Erro interno do servidor." });
+    }
+  }
+);
+
+// @route   PUT /api/clans/:id/roles/:roleId
+// @desc    Atualizar nome, cor ou permissões de um cargo customizado
+// @access  Private (Líder, Sub-líder, cargo com manageRoles ou ADM)
+router.put(
+  "/:id/roles/:roleId",
+  protect,
+  authorize("clan.manageRoles", loadClan()),
+  [
+    check("name", "Nome do cargo não pode ser vazio").optional().trim().not().isEmpty(),
+    check("color", "Cor deve estar no formato #RRGGBB").optional().matches(/^#[0-9A-Fa-f]{6}$/),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const clan = req.clan; // Obtido do middleware
+    const { name, color } = req.body;
+
+    try {
+      const role = clan.customRoles.id(req.params.roleId);
+      if (!role) {
+        return res.status(404).json({ msg: "Cargo não encontrado." });
+      }
+
+      if (name && clan.customRoles.some(r => !r._id.equals(role._id) && r.name.toLowerCase() === name.toLowerCase())) {
+        return res.status(400).json({ msg: "Já existe um cargo com este nome." });
+      }
+
+      if (req.body.permissions) {
+        const permissions = parsePermissions(req.body.permissions);
+        if (!canGrantPermissions(req, permissions)) {
+          return res.status(403).json({ msg: "Você não pode conceder permissões que não possui." });
+        }
+        role.permissions = permissions;
+      }
+      if (name) role.name = name;
+      if (color) role.color = color;
+
+      await clan.save();
+      res.json({ success: true, data: role });
+    } catch (error) {
+      console.error("Erro ao atualizar cargo:", error);
+      res.status(500).json({ msg: "Erro interno do servidor." });
+    }
+  }
+);
+
+// @route   DELETE /api/clans/:id/roles/:roleId
+// @desc    Remover um cargo customizado (e desatribuí-lo de todos)
+// @access  Private (Líder, Sub-líder, cargo com manageRoles ou ADM)
+router.delete("/:id/roles/:roleId", protect, authorize("clan.manageRoles", loadClan()), async (req, res) => {
+  const clan = req.clan; // Obtido do middleware
+
+  try {
+    const role = clan.customRoles.id(req.params.roleId);
+    if (!role) {
+      return res.status(404).json({ msg: "Cargo não encontrado." });
+    }
+
+    if (!canGrantPermissions(req, role.permissions)) {
+      return res.status(403).json({ msg: "Você não pode remover um cargo com permissões que não possui." });
+    }
+
+    clan.memberRoles = clan.memberRoles.filter(mr => mr.role !== role._id.toString());
+    clan.customRoles.pull(role._id);
+    await clan.save();
+
+    res.json({ success: true, msg: "Cargo removido com sucesso!" });
+  } catch (error) {
+    console.error("Erro ao remover cargo:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   PUT /api/clans/:id/roles/:roleId/assign/:userId
+// @desc    Atribuir um cargo customizado a um membro
+// @access  Private (Líder, Sub-líder, cargo com manageRoles ou ADM)
+router.put("/:id/roles/:roleId/assign/:userId", protect, authorize("clan.manageRoles", loadClan()), async (req, res) => {
+  const { roleId, userId } = req.params;
+  const clan = req.clan; // Obtido do middleware
+
+  try {
+    const role = clan.customRoles.id(roleId);
+    if (!role) {
+      return res.status(404).json({ msg: "Cargo não encontrado." });
+    }
+
+    if (!clan.members.includes(userId)) {
+      return res.status(400).json({ msg: "Usuário não é membro deste clã." });
+    }
+
+    if (clan.memberRoles.some(mr => mr.user.toString() === userId && mr.role === roleId)) {
+      return res.status(400).json({ msg: "Usuário já possui este cargo." });
+    }
+
+    if (!canGrantPermissions(req, role.permissions)) {
+      return res.status(403).json({ msg: "Você não pode atribuir um cargo com permissões que não possui." });
+    }
+
+    clan.memberRoles.push({ user: userId, role: roleId });
+    await clan.save();
+
+    res.json({ success: true, msg: "Cargo atribuído com sucesso!" });
+  } catch (error) {
+    console.error("Erro ao atribuir cargo:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   PUT /api/clans/:id/roles/:roleId/unassign/:userId
+// @desc    Remover um cargo customizado de um membro
+// @access  Private (Líder, Sub-líder, cargo com manageRoles ou ADM)
+router.put("/:id/roles/:roleId/unassign/:userId", protect, authorize("clan.manageRoles", loadClan()), async (req, res) => {
+  const { roleId, userId } = req.params;
+  const clan = req.clan; // Obtido do middleware
+
+  try {
+    const role = clan.customRoles.id(roleId);
+    if (!role) {
+      return res.status(404).json({ msg: "Cargo não encontrado." });
+    }
+
+    if (!clan.memberRoles.some(mr => mr.user.toString() === userId && mr.role === roleId)) {
+      return res.status(400).json({ msg: "Usuário não possui este cargo." });
+    }
+
+    if (!canGrantPermissions(req, role.permissions)) {
+      return res.status(403).json({ msg: "Você não pode remover um cargo com permissões que não possui." });
+    }
+
+    clan.memberRoles = clan.memberRoles.filter(mr => !(mr.user.toString() === userId && mr.role === roleId));
     await clan.save();
 
-    res.json({ success: true, msg: "Clã inimigo removido com sucesso!" });
+    res.json({ success: true, msg: "Cargo removido do membro com sucesso!" });
   } catch (error) {
-    console.error("Erro ao remover inimigo:", error);
+    console.error("Erro ao remover cargo do membro:", error);
     res.status(500).json({ msg: "Erro interno do servidor." });
   }
 });
@@ -0,0 +1,61 @@
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authorize");
+const directMessageController = require("../controllers/directMessageController");
+const {
+  editMessage,
+  deleteMessage,
+  react,
+  markRead,
+  getChanges,
+  getThread,
+  uploadAttachment,
+  uploadVoiceNote,
+  getAttachment,
+} = require("../controllers/messageController");
+
+// Mensagens privadas: só os dois participantes acessam; ADM apenas conversas denunciadas
+router.use(protect);
+
+// Listar conversas e abrir (ou obter) a conversa com um usuário (body: userId)
+router.get("/", directMessageController.listConversations);
+router.post("/", directMessageController.openConversation);
+
+// Fila de conversas denunciadas (ADM)
+router.get("/reported", authorize("dm.review"), directMessageController.listReported);
+
+// Enviar mensagem (body: message e/ou attachmentId)
+router.post("/:conversationId/message", directMessageController.sendMessage);
+
+// Buscar mensagens (paginação por cursor: ?before=&after=&limit=)
+router.get("/:conversationId/messages", directMessageController.getMessages);
+
+// Sincronizar: mensagens criadas, editadas, apagadas ou reagidas desde ?since= (cursor ou data ISO)
+router.get("/:conversationId/messages/changes", getChanges("direct"));
+
+// Fio da mensagem: raiz e respostas (paginação por cursor: ?before=&after=&limit=)
+router.get("/:conversationId/messages/:messageId/thread", getThread("direct"));
+
+// Editar e apagar mensagem (autor; ADM apaga em conversa denunciada)
+router.put("/:conversationId/messages/:messageId", editMessage("direct"));
+router.delete("/:conversationId/messages/:messageId", deleteMessage("direct"));
+
+// Reagir a uma mensagem (body: emoji) e remover a própria reação (emoji codificado na URL)
+router.post("/:conversationId/messages/:messageId/reactions", react("direct", "added"));
+router.delete("/:conversationId/messages/:messageId/reactions/:emoji", react("direct", "removed"));
+
+// Marcar a conversa como lida até a mensagem
+router.put("/:conversationId/messages/:messageId/read", markRead("direct"));
+
+// Denunciar mensagem (body: reason) e resolver as denúncias da conversa (ADM)
+router.post("/:conversationId/messages/:messageId/report", directMessageController.reportMessage);
+router.delete("/:conversationId/reports", authorize("dm.review"), directMessageController.resolveReports);
+
+// Anexos e notas de voz: upload (multipart, campo "file") para enviar com attachmentId, download e miniatura
+router.post("/:conversationId/attachments", uploadAttachment("direct"));
+router.post("/:conversationId/voice-notes", uploadVoiceNote("direct"));
+router.get("/:conversationId/attachments/:attachmentId", getAttachment("direct"));
+router.get("/:conversationId/attachments/:attachmentId/thumbnail", getAttachment("direct", "thumbnail"));
+
+module.exports = router;
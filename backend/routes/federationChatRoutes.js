@@ -75,27 +75,67 @@
  *           type: string
  *         required: true
  *         description: ID da federação
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor (pagination.before) para a página anterior
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor (pagination.after) para a página seguinte
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 100
  *     responses:
  *       200:
  *         description: Lista de mensagens do chat da federação
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   _id:
- *                     type: string
- *                   federation:
- *                     type: string
- *                   sender:
- *                     type: string
- *                   message:
- *                     type: string
- *                   createdAt:
- *                     type: string
- *                     format: date-time
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       federation:
+ *                         type: string
+ *                       sender:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     before:
+ *                       type: string
+ *                       nullable: true
+ *                     after:
+ *                       type: string
+ *                       nullable: true
+ *                     hasMoreBefore:
+ *                       type: boolean
+ *                       nullable: true
+ *                     hasMoreAfter:
+ *                       type: boolean
+ *                       nullable: true
+ *       400:
+ *         description: Cursor de paginação inválido
  *       401:
  *         description: Não autorizado
  *       404:
@@ -108,13 +148,51 @@ const express = require("express");
 const router = express.Router();
 const { protect } = require("../middleware/authMiddleware");
 const federationChatController = require("../controllers/federationChatController");
+const {
+  editMessage,
+  deleteMessage,
+  react,
+  markRead,
+  getChanges,
+  getThread,
+  uploadAttachment,
+  uploadVoiceNote,
+  getAttachment,
+} = require("../controllers/messageController");
 
 // Enviar mensagem
 router.post("/:federationId/message", protect, federationChatController.sendMessage);
 
-// Buscar mensagens
+// Buscar mensagens (paginação por cursor: ?before=&after=&limit=)
 router.get("/:federationId/messages", protect, federationChatController.getMessages);
 
+// Sincronizar: mensagens criadas, editadas, apagadas ou reagidas desde ?since= (cursor ou data ISO)
+router.get("/:federationId/messages/changes", protect, getChanges("federation"));
+
+// Fio da mensagem: raiz e respostas (paginação por cursor: ?before=&after=&limit=)
+router.get("/:federationId/messages/:messageId/thread", protect, getThread("federation"));
+
+// Editar mensagem (autor, dentro da janela de edição)
+router.put("/:federationId/messages/:messageId", protect, editMessage("federation"));
+
+// Apagar mensagem (autor ou liderança da federação)
+router.delete("/:federationId/messages/:messageId", protect, deleteMessage("federation"));
+
+// Reagir a uma mensagem (body: emoji) e remover a própria reação (emoji codificado na URL)
+router.post("/:federationId/messages/:messageId/reactions", protect, react("federation", "added"));
+router.delete("/:federationId/messages/:messageId/reactions/:emoji", protect, react("federation", "removed"));
+
+// Marcar o chat como lido até a mensagem
+router.put("/:federationId/messages/:messageId/read", protect, markRead("federation"));
+
+// Anexos: upload (multipart, campo "file") para enviar com attachmentId, download e miniatura
+router.post("/:federationId/attachments", protect, uploadAttachment("federation"));
+router.get("/:federationId/attachments/:attachmentId", protect, getAttachment("federation"));
+router.get("/:federationId/attachments/:attachmentId/thumbnail", protect, getAttachment("federation", "thumbnail"));
+
+// Nota de voz: convertida para Opus/OGG, com duração e forma de onda; enviar com attachmentId
+router.post("/:federationId/voice-notes", protect, uploadVoiceNote("federation"));
+
 module.exports = router;
 
 
@@ -4,7 +4,22 @@ const Federation = require("../models/Federation");
 const Clan = require("../models/Clan");
 const User = require("../models/User");
 const { protect } = require("../middleware/authMiddleware");
-const authorizeFederationLeaderOrADM = require("../middleware/authorizeFederationLeaderOrADM");
+const { authorize, loadFederation } = require("../middleware/authorize");
+const Invite = require("../models/Invite");
+const { closeScopeRoom } = require("../utils/socketRooms");
+const { banRules, listBans, createBan, removeBan } = require("../controllers/banController");
+const { expirePendingInvites, findPendingInvite, respondToInvite } = require("../services/inviteService");
+const {
+  createAdmission,
+  completeAdmission,
+  detachClan,
+  syncFederationRole,
+  addLeader,
+  removeLeader,
+  promoteSubLeader,
+  demoteSubLeader,
+  transferLeadership,
+} = require("../services/federationService");
 const { check, validationResult } = require("express-validator");
 const multer = require("multer");
 const path = require("path");
@@ -41,17 +56,11 @@ const upload = multer({
   },
 });
 
-// Middleware para ADM (usado só na criação)
-const isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === "ADM") return next();
-  return res.status(403).json({ msg: "Acesso negado. Permissão de ADM necessária." });
-};
-
 // GET todas as federações
 router.get("/", protect, async (req, res) => {
   try {
     const federations = await Federation.find()
-      .populate("leader", "username avatar")
+      .populate("leadersMax", "username avatar")
       .populate("subLeaders", "username avatar")
       .populate("clans", "name tag");
     res.json({ success: true, data: federations });
@@ -64,7 +73,7 @@ router.get("/", protect, async (req, res) => {
 router.get("/:id", protect, async (req, res) => {
   try {
     const federation = await Federation.findById(req.params.id)
-      .populate("leader", "username avatar")
+      .populate("leadersMax", "username avatar")
       .populate("subLeaders", "username avatar")
       .populate("clans", "name tag leader")
       .populate("allies", "name")
@@ -81,7 +90,7 @@ router.post(
   "/",
   [
     protect,
-    isAdmin,
+    authorize("federation.create"),
     [check("name", "Nome é obrigatório").not().isEmpty()],
   ],
   async (req, res) => {
@@ -92,9 +101,10 @@ router.post(
       const newFederation = new Federation({
         name,
         description,
-        leader: req.user.id,
+        leadersMax: [req.user.id],
       });
       const federation = await newFederation.save();
+      await syncFederationRole(federation, await User.findById(req.user.id), { io: req.app.get("io") });
       res.json({ success: true, data: federation });
     } catch (err) {
       res.status(500).json({ msg: "Erro no servidor" });
@@ -103,7 +113,7 @@ router.post(
 );
 
 // PUT atualizar federação (líder ou ADM)
-router.put("/:id", protect, authorizeFederationLeaderOrADM, async (req, res) => {
+router.put("/:id", protect, authorize("federation.update", loadFederation()), async (req, res) => {
   try {
     const federation = req.federation;
     const { name, description, rules } = req.body;
@@ -120,7 +130,7 @@ router.put("/:id", protect, authorizeFederationLeaderOrADM, async (req, res) =>
 // PUT atualizar banner
 router.put(
   "/:id/banner",
-  [protect, authorizeFederationLeaderOrADM, upload.single("banner")],
+  [protect, authorize("federation.banner", loadFederation()), upload.single("banner")],
   async (req, res) => {
     try {
       const federation = req.federation;
@@ -138,89 +148,191 @@ router.put(
   }
 );
 
-// PUT adicionar clã
-router.put("/:id/add-clan/:clanId", protect, authorizeFederationLeaderOrADM, async (req, res) => {
+// GET convites enviados a clãs e solicitações recebidas (?status=&kind=) (liderança ou ADM)
+router.get("/:id/admissions", protect, authorize("federation.manageClans", loadFederation()), async (req, res) => {
   try {
     const federation = req.federation;
-    const clan = await Clan.findById(req.params.clanId);
-    if (!clan) return res.status(404).json({ msg: "Clã não encontrado" });
-    if (clan.federation) {
-      return res.status(400).json({ msg: "Este clã já pertence a uma federação. Saia dela primeiro." });
-    }
-    if (federation.clans.includes(req.params.clanId)) {
-      return res.status(400).json({ msg: "Clã já está nesta federação." });
+    await expirePendingInvites({ type: "federation", target: federation._id });
+
+    const filter = { type: "federation", target: federation._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.kind) filter.kind = req.query.kind;
+
+    const admissions = await Invite.find(filter)
+      .populate("clan", "name tag banner")
+      .populate("sender", "username")
+      .populate("respondedBy", "username")
+      .sort({ createdAt: -1 });
+    res.json({ success: true, data: admissions });
+  } catch (err) {
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+});
+
+// Convida um clã para a federação (a liderança do clã precisa aceitar)
+const inviteClan = async (req, res, clanId, message) => {
+  const clan = await Clan.findById(clanId);
+  if (!clan) return res.status(404).json({ msg: "Clã não encontrado" });
+
+  const { error, invite } = await createAdmission({
+    federation: req.federation,
+    clan,
+    kind: "invite",
+    sender: req.user.id,
+    message,
+  });
+  if (error) return res.status(400).json({ msg: error });
+
+  res.status(201).json({ success: true, msg: "Convite enviado ao clã!", data: invite });
+};
+
+// POST convidar clã (liderança ou ADM)
+router.post(
+  "/:id/clan-invites",
+  [
+    protect,
+    authorize("federation.manageClans", loadFederation()),
+    [check("clanId", "ID do clã é obrigatório").isMongoId()],
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      await inviteClan(req, res, req.body.clanId, req.body.message);
+    } catch (err) {
+      res.status(500).json({ msg: "Erro no servidor" });
     }
-    federation.clans.push(req.params.clanId);
-    await federation.save();
-    clan.federation = federation._id;
-    await clan.save();
-    res.json({ success: true, msg: "Clã adicionado à federação com sucesso!" });
+  }
+);
+
+// PUT adicionar clã (legado: agora envia um convite que o clã precisa aceitar)
+router.put("/:id/add-clan/:clanId", protect, authorize("federation.manageClans", loadFederation()), async (req, res) => {
+  try {
+    await inviteClan(req, res, req.params.clanId);
   } catch (err) {
     res.status(500).json({ msg: "Erro no servidor" });
   }
 });
 
-// PUT remover clã
-router.put("/:id/remove-clan/:clanId", protect, authorizeFederationLeaderOrADM, async (req, res) => {
+// Convite/solicitação pendente da federação da rota, do tipo informado
+const findAdmission = (req, kind) =>
+  findPendingInvite({ _id: req.params.inviteId, type: "federation", kind, target: req.federation._id });
+
+// PUT aprovar solicitação de um clã (liderança ou ADM)
+router.put("/:id/admissions/:inviteId/approve", protect, authorize("federation.manageClans", loadFederation()), async (req, res) => {
   try {
-    const federation = req.federation;
-    const clan = await Clan.findById(req.params.clanId);
-    if (!clan) return res.status(404).json({ msg: "Clã não encontrado" });
-    if (!federation.clans.includes(req.params.clanId)) {
-      return res.status(400).json({ msg: "Clã não pertence a esta federação." });
-    }
-    federation.clans = federation.clans.filter(c => c.toString() !== req.params.clanId);
-    await federation.save();
-    clan.federation = null;
-    await clan.save();
-    res.json({ success: true, msg: "Clã removido da federação com sucesso!" });
+    const request = await findAdmission(req, "request");
+    if (!request) return res.status(404).json({ msg: "Solicitação pendente não encontrada." });
+
+    const error = await completeAdmission(request, req.user.id, { io: req.app.get("io") });
+    if (error) return res.status(400).json({ msg: error });
+
+    res.json({ success: true, msg: "Solicitação aprovada. O clã entrou na federação!" });
   } catch (err) {
     res.status(500).json({ msg: "Erro no servidor" });
   }
 });
 
-// PUT promover sub-líder da federação
-router.put("/:id/promote-subleader/:userId", protect, authorizeFederationLeaderOrADM, async (req, res) => {
+// PUT recusar solicitação de um clã (liderança ou ADM)
+router.put("/:id/admissions/:inviteId/reject", protect, authorize("federation.manageClans", loadFederation()), async (req, res) => {
   try {
-    const federation = req.federation;
-    const user = await User.findById(req.params.userId);
-    if (!user) return res.status(404).json({ msg: "Usuário não encontrado" });
-    if (user.federationRole === "leaderMax") {
-      return res.status(400).json({ msg: "Usuário já é sub-líder da federação." });
-    }
-    if (!federation.subLeaders.includes(req.params.userId)) {
-      federation.subLeaders.push(req.params.userId);
-      await federation.save();
-    }
-    user.federationRole = "leaderMax";
-    await user.save();
-    res.json({ success: true, msg: "Usuário promovido a sub-líder da federação com sucesso!" });
+    const request = await findAdmission(req, "request");
+    if (!request) return res.status(404).json({ msg: "Solicitação pendente não encontrada." });
+
+    await respondToInvite(request, "rejected", req.user.id);
+    res.json({ success: true, msg: "Solicitação recusada." });
   } catch (err) {
     res.status(500).json({ msg: "Erro no servidor" });
   }
 });
 
-// PUT rebaixar sub-líder da federação
-router.put("/:id/demote-subleader/:userId", protect, authorizeFederationLeaderOrADM, async (req, res) => {
+// PUT cancelar convite enviado a um clã (liderança ou ADM)
+router.put("/:id/admissions/:inviteId/cancel", protect, authorize("federation.manageClans", loadFederation()), async (req, res) => {
+  try {
+    const invite = await findAdmission(req, "invite");
+    if (!invite) return res.status(404).json({ msg: "Convite pendente não encontrado." });
+
+    await respondToInvite(invite, "cancelled", req.user.id);
+    res.json({ success: true, msg: "Convite cancelado." });
+  } catch (err) {
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+});
+
+// PUT remover clã (desfaz os vínculos do clã e dos membros com a federação)
+router.put("/:id/remove-clan/:clanId", protect, authorize("federation.manageClans", loadFederation()), async (req, res) => {
   try {
     const federation = req.federation;
+    const clan = await Clan.findById(req.params.clanId);
+    if (!clan) return res.status(404).json({ msg: "Clã não encontrado" });
+
+    const error = await detachClan(federation._id, clan._id, { io: req.app.get("io") });
+    if (error) return res.status(400).json({ msg: error });
+
+    res.json({ success: true, msg: "Clã removido da federação com sucesso!" });
+  } catch (err) {
+    res.status(500).json({ msg: "Erro no servidor" });
+  }
+});
+
+// Carrega o usuário de :userId e aplica a mudança de liderança (fn devolve erro ou null)
+const leadershipChange = (fn, successMsg) => async (req, res) => {
+  try {
     const user = await User.findById(req.params.userId);
     if (!user) return res.status(404).json({ msg: "Usuário não encontrado" });
-    if (user.federationRole !== "leaderMax") {
-      return res.status(400).json({ msg: "Usuário não é sub-líder da federação." });
-    }
-    federation.subLeaders = federation.subLeaders.filter(sl => sl.toString() !== req.params.userId);
-    await federation.save();
-    user.federationRole = "member"; // Ou o papel padrão que você usa para membros comuns
-    await user.save();
-    res.json({ success: true, msg: "Usuário rebaixado de sub-líder da federação com sucesso!" });
+
+    const error = await fn(req, user);
+    if (error) return res.status(400).json({ msg: error });
+
+    res.json({ success: true, msg: successMsg });
   } catch (err) {
     res.status(500).json({ msg: "Erro no servidor" });
   }
-});
+};
+
+const promote = leadershipChange(
+  (req, user) => promoteSubLeader(req.federation, user),
+  "Usuário promovido a sub-líder da federação com sucesso!"
+);
+const demote = leadershipChange(
+  (req, user) => demoteSubLeader(req.federation, user),
+  "Usuário rebaixado de sub-líder da federação com sucesso!"
+);
+
+// PUT promover membro a sub-líder da federação (leadersMax ou ADM)
+router.put("/:id/promote/:userId", protect, authorize("federation.manageLeaders", loadFederation()), promote);
+router.put("/:id/promote-subleader/:userId", protect, authorize("federation.manageLeaders", loadFederation()), promote);
+
+// PUT rebaixar sub-líder da federação a membro (leadersMax ou ADM)
+router.put("/:id/demote/:userId", protect, authorize("federation.manageLeaders", loadFederation()), demote);
+router.put("/:id/demote-subleader/:userId", protect, authorize("federation.manageLeaders", loadFederation()), demote);
+
+// PUT adicionar líder máximo (leadersMax ou ADM)
+router.put(
+  "/:id/leaders/:userId",
+  protect,
+  authorize("federation.manageLeaders", loadFederation()),
+  leadershipChange((req, user) => addLeader(req.federation, user), "Usuário adicionado à liderança máxima da federação!")
+);
+
+// DELETE remover líder máximo, mantendo pelo menos um (leadersMax ou ADM)
+router.delete(
+  "/:id/leaders/:userId",
+  protect,
+  authorize("federation.manageLeaders", loadFederation()),
+  leadershipChange((req, user) => removeLeader(req.federation, user, { io: req.app.get("io") }), "Usuário removido da liderança máxima da federação.")
+);
+
+// PUT transferir a liderança máxima para outro membro (leadersMax ou ADM)
+router.put(
+  "/:id/transfer/:userId",
+  protect,
+  authorize("federation.transfer", loadFederation()),
+  leadershipChange((req, user) => transferLeadership(req.federation, req.user, user, { io: req.app.get("io") }), "Liderança da federação transferida com sucesso!")
+);
 
 // PUT adicionar federação aliada
-router.put("/:id/add-ally/:allyId", protect, authorizeFederationLeaderOrADM, async (req, res) => {
+router.put("/:id/add-ally/:allyId", protect, authorize("federation.diplomacy", loadFederation()), async (req, res) => {
   try {
     const federation = req.federation;
     const allyFederation = await Federation.findById(req.params.allyId);
@@ -237,7 +349,7 @@ router.put("/:id/add-ally/:allyId", protect, authorizeFederationLeaderOrADM, asy
 });
 
 // PUT remover federação aliada
-router.put("/:id/remove-ally/:allyId", protect, authorizeFederationLeaderOrADM, async (req, res) => {
+router.put("/:id/remove-ally/:allyId", protect, authorize("federation.diplomacy", loadFederation()), async (req, res) => {
   try {
     const federation = req.federation;
     if (!federation.allies.includes(req.params.allyId)) {
@@ -252,7 +364,7 @@ router.put("/:id/remove-ally/:allyId", protect, authorizeFederationLeaderOrADM,
 });
 
 // PUT adicionar federação inimiga
-router.put("/:id/add-enemy/:enemyId", protect, authorizeFederationLeaderOrADM, async (req, res) => {
+router.put("/:id/add-enemy/:enemyId", protect, authorize("federation.diplomacy", loadFederation()), async (req, res) => {
   try {
     const federation = req.federation;
     const enemyFederation = await Federation.findById(req.params.enemyId);
@@ -269,7 +381,7 @@ router.put("/:id/add-enemy/:enemyId", protect, authorizeFederationLeaderOrADM, a
 });
 
 // PUT remover federação inimiga
-router.put("/:id/remove-enemy/:enemyId", protect, authorizeFederationLeaderOrADM, async (req, res) => {
+router.put("/:id/remove-enemy/:enemyId", protect, authorize("federation.diplomacy", loadFederation()), async (req, res) => {
   try {
     const federation = req.federation;
     if (!federation.enemies.includes(req.params.enemyId)) {
@@ -283,8 +395,17 @@ router.put("/:id/remove-enemy/:enemyId", protect, authorizeFederationLeaderOrADM
   }
 });
 
-// DELETE deletar federação
-router.delete("/:id", protect, authorizeFederationLeaderOrADM, async (req, res) => {
+// GET bans da federação (?status=active|all) (leadersMax, subLeaders ou ADM)
+router.get("/:id/bans", protect, authorize("federation.ban", loadFederation()), listBans("federation"));
+
+// POST banir usuário da federação (duration em dias, sem duração = permanente)
+router.post("/:id/bans", protect, authorize("federation.ban", loadFederation()), banRules, createBan("federation"));
+
+// DELETE remover ban de um usuário da federação
+router.delete("/:id/bans/:userId", protect, authorize("federation.ban", loadFederation()), removeBan("federation"));
+
+// DELETE deletar federação (apenas leadersMax ou ADM)
+router.delete("/:id", protect, authorize("federation.delete", loadFederation()), async (req, res) => {
   try {
     const federation = req.federation;
     if (federation.banner) {
@@ -296,10 +417,11 @@ router.delete("/:id", protect, authorizeFederationLeaderOrADM, async (req, res)
       { $set: { federation: null } }
     );
     await User.updateMany(
-      { federationRole: { $in: ["ROLE_FED_LEADER", "ROLE_FED_SUBLEADER"] } },
-      { $set: { federationRole: null } }
+      { federation: federation._id },
+      { $set: { federation: null, federationRole: null } }
     );
     await federation.deleteOne();
+    closeScopeRoom(req.app.get("io"), "federation", federation._id);
     res.json({ success: true, msg: "Federação deletada com sucesso" });
   } catch (err) {
     res.status(500).json({ msg: "Erro no servidor" });
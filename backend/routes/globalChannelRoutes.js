@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const GlobalChannel = require("../models/GlobalChannel");
 const { protect } = require("../middleware/authMiddleware");
+const { authorize } = require("../middleware/authorize");
 const { check, validationResult } = require("express-validator");
 
 // Função padrão para erro de servidor
@@ -50,6 +51,7 @@ router.post(
   "/",
   [
     protect,
+    authorize("globalChannel.create"),
     [
       check("name", "Nome é obrigatório").not().isEmpty(),
       check("type", "Tipo deve ser 'text' ou 'voice'").isIn(["text", "voice"]),
@@ -62,11 +64,6 @@ router.post(
     }
 
     try {
-      // Apenas ADM pode criar canal global
-      if (req.user.role !== "ROLE_ADM") {
-        return res.status(403).json({ error: "Apenas ADM pode criar canais globais." });
-      }
-
       const { name, description, type, userLimit } = req.body;
       const newGlobalChannel = new GlobalChannel({
         name,
@@ -146,19 +143,14 @@ router.put("/:id/leave", protect, async (req, res) => {
 });
 
 // DELETE /api/global-channels/:id
-router.delete("/:id", protect, async (req, res) => {
+router.delete("/:id", protect, authorize("globalChannel.delete"), async (req, res) => {
   try {
     const globalChannel = await GlobalChannel.findById(req.params.id);
 
     if (!globalChannel) {
       return res.status(404).json({ error: "Canal global não encontrado." });
     }
-    // Apenas ADM pode deletar canal global
-    if (req.user.role !== "ROLE_ADM") {
-      return res.status(403).json({ error: "Apenas ADM pode deletar canais globais." });
-    }
-
-    await globalChannel.remove();
+    await globalChannel.deleteOne();
     res.json({ success: true, message: "Canal global removido." });
   } catch (err) {
     serverError(res, err);
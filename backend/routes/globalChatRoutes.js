@@ -0,0 +1,77 @@
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middleware/authMiddleware");
+const { authorize, loadGlobalChannel } = require("../middleware/authorize");
+const globalChatController = require("../controllers/globalChatController");
+const { banRules, listBans, createBan, removeBan } = require("../controllers/banController");
+const {
+  editMessage,
+  deleteMessage,
+  react,
+  markRead,
+  getChanges,
+  getThread,
+  uploadAttachment,
+  uploadVoiceNote,
+  getAttachment,
+} = require("../controllers/messageController");
+
+// Chat dos canais globais de texto: aberto a todo usuário registrado
+router.use(protect);
+
+// Rotas sem ID usadas pelo app: canal de channelId (corpo/query) ou o canal de texto padrão.
+// Respondem no formato de lib/services/chat_service.dart: a mensagem enviada e a lista de mensagens, sem envelope.
+router.post("/message", globalChatController.sendMessage({ app: true }));
+router.get("/messages", globalChatController.getMessages({ app: true }));
+
+// Configurações do chat (modo lento, moderadores)
+router.get("/:channelId", globalChatController.getChat);
+
+// Enviar mensagem (body: message, attachmentId ou fileUrl + type; sujeito ao modo lento)
+router.post("/:channelId/message", globalChatController.sendMessage());
+
+// Buscar mensagens (paginação por cursor: ?before=&after=&limit=)
+router.get("/:channelId/messages", globalChatController.getMessages());
+
+// Sincronizar: mensagens criadas, editadas, apagadas ou reagidas desde ?since= (cursor ou data ISO)
+router.get("/:channelId/messages/changes", getChanges("global"));
+
+// Fio da mensagem: raiz e respostas (paginação por cursor: ?before=&after=&limit=)
+router.get("/:channelId/messages/:messageId/thread", getThread("global"));
+
+// Editar e apagar mensagem (autor; moderadores e ADM apagam qualquer uma)
+router.put("/:channelId/messages/:messageId", editMessage("global"));
+router.delete("/:channelId/messages/:messageId", deleteMessage("global"));
+
+// Reagir a uma mensagem (body: emoji) e remover a própria reação (emoji codificado na URL)
+router.post("/:channelId/messages/:messageId/reactions", react("global", "added"));
+router.delete("/:channelId/messages/:messageId/reactions/:emoji", react("global", "removed"));
+
+// Marcar o chat como lido até a mensagem
+router.put("/:channelId/messages/:messageId/read", markRead("global"));
+
+// Anexos e notas de voz: upload (multipart, campo "file") para enviar com attachmentId, download e miniatura
+router.post("/:channelId/attachments", uploadAttachment("global"));
+router.post("/:channelId/voice-notes", uploadVoiceNote("global"));
+router.get("/:channelId/attachments/:attachmentId", getAttachment("global"));
+router.get("/:channelId/attachments/:attachmentId/thumbnail", getAttachment("global", "thumbnail"));
+
+// Moderação: modo lento (body: seconds) e bans do chat (moderadores e ADM)
+router.put("/:channelId/slow-mode", authorize("globalChat.moderate", loadGlobalChannel()), globalChatController.updateSlowMode);
+router.get("/:channelId/bans", authorize("globalChat.moderate", loadGlobalChannel()), listBans("global"));
+router.post("/:channelId/bans", authorize("globalChat.moderate", loadGlobalChannel()), banRules, createBan("global"));
+router.delete("/:channelId/bans/:userId", authorize("globalChat.moderate", loadGlobalChannel()), removeBan("global"));
+
+// Moderadores do chat (ADM)
+router.put(
+  "/:channelId/moderators/:userId",
+  authorize("globalChat.manageModerators", loadGlobalChannel()),
+  globalChatController.updateModerator("added")
+);
+router.delete(
+  "/:channelId/moderators/:userId",
+  authorize("globalChat.manageModerators", loadGlobalChannel()),
+  globalChatController.updateModerator("removed")
+);
+
+module.exports = router;
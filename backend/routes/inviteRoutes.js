@@ -0,0 +1,116 @@
+const express = require("express");
+const router = express.Router();
+const Invite = require("../models/Invite");
+const Clan = require("../models/Clan");
+const User = require("../models/User");
+const { protect } = require("../middleware/authMiddleware");
+const { addMember } = require("../services/clanService");
+const {
+  expirePendingInvites,
+  findPendingInvite,
+  respondToInvite,
+} = require("../services/inviteService");
+
+router.use(protect);
+
+// @route   GET /api/invites
+// @desc    Convites recebidos e solicitações enviadas pelo usuário (filtro: status)
+// @access  Private
+router.get("/", async (req, res) => {
+  const { status } = req.query;
+
+  try {
+    await expirePendingInvites({ $or: [{ recipient: req.user.id }, { sender: req.user.id, kind: "request" }] });
+
+    const received = { kind: "invite", recipient: req.user.id };
+    const sent = { kind: "request", sender: req.user.id };
+    if (status) {
+      received.status = status;
+      sent.status = status;
+    }
+
+    const [invites, requests] = await Promise.all([
+      Invite.find(received).populate("sender", "username avatar").sort({ createdAt: -1 }),
+      Invite.find(sent).sort({ createdAt: -1 }),
+    ]);
+
+    res.json({ success: true, data: { invites, requests } });
+  } catch (error) {
+    console.error("Erro ao listar convites do usuário:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   PUT /api/invites/:id/accept
+// @desc    Aceitar um convite de clã
+// @access  Private (destinatário do convite)
+router.put("/:id/accept", async (req, res) => {
+  try {
+    const invite = await findPendingInvite({ _id: req.params.id, kind: "invite", recipient: req.user.id });
+    if (!invite) {
+      return res.status(404).json({ msg: "Convite pendente não encontrado." });
+    }
+
+    if (invite.type !== "clan") {
+      return res.status(400).json({ msg: "Tipo de convite não suportado." });
+    }
+
+    const clan = await Clan.findById(invite.target);
+    if (!clan) {
+      await respondToInvite(invite, "cancelled", req.user.id);
+      return res.status(404).json({ msg: "Clã não encontrado." });
+    }
+
+    const user = await User.findById(req.user.id);
+    const error = await addMember(clan, user, { io: req.app.get("io") });
+    if (error) {
+      // Já está em outro clã (ou foi banido): o pedido não tem mais como ser aceito
+      await respondToInvite(invite, "cancelled", req.user.id);
+      return res.status(400).json({ msg: error });
+    }
+
+    await respondToInvite(invite, "accepted", req.user.id);
+    res.json({ success: true, msg: "Convite aceito. Você entrou no clã!" });
+  } catch (error) {
+    console.error("Erro ao aceitar convite:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   PUT /api/invites/:id/reject
+// @desc    Recusar um convite
+// @access  Private (destinatário do convite)
+router.put("/:id/reject", async (req, res) => {
+  try {
+    const invite = await findPendingInvite({ _id: req.params.id, kind: "invite", recipient: req.user.id });
+    if (!invite) {
+      return res.status(404).json({ msg: "Convite pendente não encontrado." });
+    }
+
+    await respondToInvite(invite, "rejected", req.user.id);
+    res.json({ success: true, msg: "Convite recusado." });
+  } catch (error) {
+    console.error("Erro ao recusar convite:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   PUT /api/invites/:id/cancel
+// @desc    Cancelar uma solicitação de entrada enviada
+// @access  Private (autor da solicitação)
+router.put("/:id/cancel", async (req, res) => {
+  try {
+    const request = await findPendingInvite({ _id: req.params.id, kind: "request", sender: req.user.id });
+    if (!request) {
+      return res.status(404).json({ msg: "Solicitação pendente não encontrada." });
+    }
+
+    await respondToInvite(request, "cancelled", req.user.id);
+    res.json({ success: true, msg: "Solicitação cancelada." });
+  } catch (error) {
+    console.error("Erro ao cancelar solicitação:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+module.exports = router;
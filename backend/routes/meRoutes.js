@@ -0,0 +1,67 @@
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middleware/authMiddleware");
+const { unreadSummary } = require("../services/readCursorService");
+const { blockUser, unblockUser, listBlockedUsers } = require("../services/directMessageService");
+
+router.use(protect);
+
+// @route   GET /api/me/unread
+// @desc    Mensagens não lidas por conversa (canais, chat do clã e da federação, conversas privadas) e o total
+// @access  Private
+router.get("/unread", async (req, res) => {
+  try {
+    const summary = await unreadSummary(req.user);
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    console.error("Erro ao calcular mensagens não lidas:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   GET /api/me/blocks
+// @desc    Usuários bloqueados (não trocam mensagens privadas com você)
+// @access  Private
+router.get("/blocks", async (req, res) => {
+  try {
+    const users = await listBlockedUsers(req.user._id);
+    res.json({ success: true, data: users });
+  } catch (error) {
+    console.error("Erro ao listar bloqueios:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   PUT /api/me/blocks/:userId
+// @desc    Bloquear usuário
+// @access  Private
+router.put("/blocks/:userId", async (req, res) => {
+  try {
+    const { error, status } = await blockUser(req.user, req.params.userId);
+    if (error) {
+      return res.status(status).json({ msg: error });
+    }
+    res.json({ success: true, blocked: true });
+  } catch (error) {
+    console.error("Erro ao bloquear usuário:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+// @route   DELETE /api/me/blocks/:userId
+// @desc    Desbloquear usuário
+// @access  Private
+router.delete("/blocks/:userId", async (req, res) => {
+  try {
+    const { error, status } = await unblockUser(req.user, req.params.userId);
+    if (error) {
+      return res.status(status).json({ msg: error });
+    }
+    res.json({ success: true, blocked: false });
+  } catch (error) {
+    console.error("Erro ao desbloquear usuário:", error);
+    res.status(500).json({ msg: "Erro interno do servidor." });
+  }
+});
+
+module.exports = router;
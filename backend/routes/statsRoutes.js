@@ -5,6 +5,7 @@ const User = require('../models/User');
 const Call = require('../models/Call');
 const Message = require('../models/Message');
 const { protect } = require('../middleware/authMiddleware');
+const { authorize, targetUser } = require('../middleware/authorize');
 
 // GET /api/stats/global - Estatísticas globais
 router.get('/global', protect, async (req, res) => {
@@ -69,15 +70,10 @@ router.get('/global', protect, async (req, res) => {
 });
 
 // GET /api/stats/user/:userId - Estatísticas do usuário
-router.get('/user/:userId', protect, async (req, res) => {
+router.get('/user/:userId', protect, authorize('user.viewStats', targetUser('userId')), async (req, res) => {
   try {
     const { userId } = req.params;
     
-    // Verificar se é o próprio usuário ou admin
-    if (req.user.id !== userId && req.user.role !== 'admin') {
-      return res.status(403).json({ msg: 'Acesso negado' });
-    }
-    
     // Contar chamadas do usuário
     const totalCalls = await Call.countDocuments({
       $or: [
@@ -2,7 +2,7 @@ const express = require("express");
 const multer = require("multer");
 const User = require("../models/User");
 const { protect } = require("../middleware/authMiddleware");
-const authorizeSelfOrAdmin = require("../middleware/authorizeSelfOrAdmin");
+const { authorize, loadClan, targetUser } = require("../middleware/authorize");
 const router = express.Router();
 const fs = require("fs");
 
@@ -38,7 +38,7 @@ const upload = multer({
 router.post(
   "/users/:id/foto",
   protect,
-  authorizeSelfOrAdmin,
+  authorize("user.update", targetUser()),
   upload.single("foto"),
   async (req, res) => {
     try {
@@ -70,18 +70,9 @@ router.post(
 // @route   GET /api/cla/:id/membros
 // @desc    Listar membros do clã (com status online)
 // @access  Private (só membros do clã ou ADM)
-router.get("/cla/:id/membros", protect, async (req, res) => {
+router.get("/cla/:id/membros", protect, authorize("clan.viewMembers", loadClan()), async (req, res) => {
   try {
     const idCla = req.params.id;
-    const requestingUser = await User.findById(req.user.id);
-
-    // Permitir só membros do clã ou ADM
-    if (
-      requestingUser.role !== "ADM" &&
-      (!requestingUser.clan || requestingUser.clan.toString() !== idCla)
-    ) {
-      return res.status(403).json({ error: "Não autorizado a ver membros deste clã." });
-    }
 
     const membros = await User.find({ clan: idCla }).select("username fotoPerfil ultimaAtividade");
 
@@ -114,7 +105,7 @@ router.get("/users/:id", protect, async (req, res) => {
 });
 
 // (Exemplo de rota para editar perfil do usuário - só ele ou ADM)
-router.put("/users/:id", protect, authorizeSelfOrAdmin, async (req, res) => {
+router.put("/users/:id", protect, authorize("user.update", targetUser()), async (req, res) => {
   try {
     const { username, bio } = req.body;
     const user = await User.findById(req.params.id);
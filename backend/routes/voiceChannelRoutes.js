@@ -2,6 +2,10 @@ const express = require("express");
 const router = express.Router();
 const VoiceChannel = require("../models/VoiceChannel");
 const { protect } = require("../middleware/authMiddleware");
+const { authorize, notFound } = require("../middleware/authorize");
+const { can } = require("../services/policyService");
+const { checkBan } = require("../services/banService");
+const { membershipOf } = require("../services/membershipService");
 const { check, validationResult } = require("express-validator");
 
 // Helper para resposta padrão de erro
@@ -34,12 +38,29 @@ router.get("/global", protect, async (req, res) => {
   }
 });
 
+// Canais de clã/federação são restritos aos membros do escopo (ADM vê todos). Retorna a mensagem de erro ou null.
+const scopeAccessError = async (req, { clan, federation }) => {
+  const membership = membershipOf(req);
+  if (clan && !can(req.user, "voiceChannel.accessClan", { clan: await membership.clan(clan) })) {
+    return "Apenas membros do clã podem acessar este canal de voz.";
+  }
+  if (federation && !can(req.user, "voiceChannel.accessFederation", { federation: await membership.federation(federation) })) {
+    return "Apenas membros da federação podem acessar este canal de voz.";
+  }
+  return null;
+};
+
 // GET /api/voice-channels/clan/:clanId
 router.get("/clan/:clanId", protect, async (req, res) => {
   try {
+    const denied = await scopeAccessError(req, { clan: req.params.clanId });
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+
     const clanVoiceChannels = await VoiceChannel.find({
       type: "clan",
-      clanId: req.params.clanId,
+      clan: req.params.clanId,
     })
       .populate("createdBy", "username fotoPerfil")
       .populate("activeUsers", "username fotoPerfil");
@@ -52,9 +73,14 @@ router.get("/clan/:clanId", protect, async (req, res) => {
 // GET /api/voice-channels/federation/:federationId
 router.get("/federation/:federationId", protect, async (req, res) => {
   try {
+    const denied = await scopeAccessError(req, { federation: req.params.federationId });
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+
     const federationVoiceChannels = await VoiceChannel.find({
       type: "federation",
-      federationId: req.params.federationId,
+      federation: req.params.federationId,
     })
       .populate("createdBy", "username fotoPerfil")
       .populate("activeUsers", "username fotoPerfil");
@@ -83,17 +109,31 @@ router.post(
     try {
       const { name, description, type, clanId, federationId, userLimit } = req.body;
 
-      // Se for global, só ADM pode criar
-      if (type === "global" && req.user.role !== "ROLE_ADM") {
-        return res.status(403).json({ error: "Apenas ADM pode criar canais globais." });
+      // Global: só ADM; clã/federação: liderança (ou cargo com manageChannels no clã)
+      const context = {};
+      if (type === "clan") {
+        context.clan = await membershipOf(req).clan(clanId);
+        if (!context.clan) return res.status(404).json({ error: "Clã não encontrado." });
+      } else if (type === "federation") {
+        context.federation = await membershipOf(req).federation(federationId);
+        if (!context.federation) return res.status(404).json({ error: "Federação não encontrada." });
+      }
+
+      const action = {
+        global: "voiceChannel.createGlobal",
+        clan: "voiceChannel.createClan",
+        federation: "voiceChannel.createFederation",
+      }[type];
+      if (!can(req.user, action, context)) {
+        return res.status(403).json({ error: "Não autorizado a criar este canal de voz." });
       }
 
       const newVoiceChannel = new VoiceChannel({
         name,
         description,
         type,
-        clanId: type === "clan" ? clanId : null,
-        federationId: type === "federation" ? federationId : null,
+        clan: type === "clan" ? clanId : null,
+        federation: type === "federation" ? federationId : null,
         userLimit: userLimit || 15,
         createdBy: req.user.id,
       });
@@ -121,6 +161,18 @@ router.put("/:id/join", protect, async (req, res) => {
       return res.status(400).json({ error: "Canal de voz está lotado." });
     }
 
+    const denied = await scopeAccessError(req, voiceChannel);
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+
+    // Banidos do clã/federação dona do canal não entram
+    const ban = (voiceChannel.clan && await checkBan(req.user.id, "clan", voiceChannel.clan)) ||
+      (voiceChannel.federation && await checkBan(req.user.id, "federation", voiceChannel.federation));
+    if (ban) {
+      return res.status(403).json({ error: ban.msg, ...ban });
+    }
+
     voiceChannel.activeUsers.push(req.user.id);
     await voiceChannel.save();
 
@@ -161,21 +213,21 @@ router.put("/:id/leave", protect, async (req, res) => {
   }
 });
 
+// Carrega o canal de voz em req.voiceChannel (dono = criador)
+const loadVoiceChannel = async (req) => {
+  const voiceChannel = await VoiceChannel.findById(req.params.id);
+  if (!voiceChannel) return notFound("Canal de voz não encontrado.");
+  req.voiceChannel = voiceChannel;
+  return { ownerId: voiceChannel.createdBy };
+};
+
 // DELETE /api/voice-channels/:id
-router.delete("/:id", protect, async (req, res) => {
+// Só ADM ou criador pode deletar
+router.delete("/:id", protect, authorize("voiceChannel.delete", loadVoiceChannel), async (req, res) => {
   try {
-    const voiceChannel = await VoiceChannel.findById(req.params.id);
-
-    if (!voiceChannel) {
-      return res.status(404).json({ error: "Canal de voz não encontrado." });
-    }
-
-    // Só ADM ou criador pode deletar
-    if (voiceChannel.createdBy.toString() !== req.user.id && req.user.role !== "ROLE_ADM") {
-      return res.status(403).json({ error: "Não autorizado a deletar este canal." });
-    }
+    const voiceChannel = req.voiceChannel;
 
-    await voiceChannel.remove();
+    await voiceChannel.deleteOne();
     res.json({ success: true, message: "Canal de voz removido." });
   } catch (err) {
     serverError(res, err);
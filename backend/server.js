@@ -9,6 +9,21 @@ const winston = require("winston");
 const fs = require("fs");
 const jwt = require("jsonwebtoken");
 const errorHandler = require("./middleware/errorMiddleware");
+const { socketAuth, verifySocketToken } = require("./middleware/socketAuth");
+const { userRoom, sessionRoom, scopeRoom, channelRoom, globalChatRoom } = require("./utils/socketRooms");
+const { liftExpiredSuspensions } = require("./services/suspensionService");
+const { expirePendingInvites } = require("./services/inviteService");
+const { liftExpiredBans, findActiveBan } = require("./services/banService");
+const { removeUnclaimedAttachments } = require("./services/attachmentService");
+const { addConnection, removeConnection, isOnline } = require("./services/presenceService");
+const { defaultScopesFor, subscriptionError, loadSocketUser } = require("./services/roomService");
+const { loadChannelForMember, createChannelMessage } = require("./services/channelMessageService");
+const { pageMessages } = require("./services/messageHistoryService");
+const { loadMessageForUser, reactToMessage, presentMessage, broadcastMessageChange } = require("./services/messageService");
+const { createMembership } = require("./services/membershipService");
+const { markReadUpTo, readState, publishReadState } = require("./services/readCursorService");
+const { loadGlobalChatChannel, presentChatSettings } = require("./services/globalChatService");
+const { registerReply } = require("./services/threadService");
 
 // MODELS
 const Message = require("./models/Message");
@@ -26,8 +41,12 @@ const globalChannelRoutes = require("./routes/globalChannelRoutes");
 const voipRoutes = require("./routes/voipRoutes");
 const federationRoutes = require("./routes/federationRoutes");
 const clanRoutes = require("./routes/clanRoutes");
+const inviteRoutes = require("./routes/inviteRoutes");
+const meRoutes = require("./routes/meRoutes");
 const federationChatRoutes = require("./routes/federationChatRoutes");
 const clanChatRoutes = require("./routes/clanChatRoutes");
+const dmRoutes = require("./routes/dmRoutes");
+const globalChatRoutes = require("./routes/globalChatRoutes");
 
 // --- INTEGRAÇÃO DAS MISSÕES QRR ---
 const clanMissionRoutes = require("./routes/clanMission.routes");
@@ -131,6 +150,7 @@ const authLimiter = rateLimit({
 });
 app.use("/api/auth/login", authLimiter);
 app.use("/api/auth/register", authLimiter);
+app.use("/api/auth/refresh", authLimiter);
 
 app.use(express.json());
 
@@ -153,29 +173,254 @@ const io = new Server(server, {
   },
 });
 
-// Map to store connected users by their userId
-const connectedUsers = new Map(); // userId -> socket.id
+// Disponível nas rotas via req.app.get("io")
+app.set("io", io);
+
+io.use(socketAuth);
+
+// Desconecta o socket quando o access token usado no handshake expira
+// setTimeout dispara na hora com atrasos acima de 2^31-1 ms (~24,8 dias): tokens mais longos reagendam em partes
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const scheduleTokenExpiry = (socket) => {
+  clearTimeout(socket.tokenExpiryTimer);
+  const delay = Math.max(socket.tokenExpiresAt - Date.now(), 0);
+  if (delay > MAX_TIMER_DELAY) {
+    socket.tokenExpiryTimer = setTimeout(() => scheduleTokenExpiry(socket), MAX_TIMER_DELAY);
+    return;
+  }
+  socket.tokenExpiryTimer = setTimeout(() => {
+    logger.info(`Token expirado para socket ${socket.id} (usuário ${socket.userId}).`);
+    socket.emit("token_expired");
+    socket.disconnect(true);
+  }, delay);
+};
+
+// Payload de evento enviado pelo cliente: só objetos contam (null e outros valores viram {}
+// e caem na validação do próprio evento, que responde pelo ack em vez de derrubar o servidor)
+const payloadOf = (payload) => (payload && typeof payload === "object" ? payload : {});
 
 io.on("connection", (socket) => {
-  logger.info(`Novo cliente conectado: ${socket.id}`);
+  // socket.userId e socket.sessionId vêm do JWT validado no handshake
+  logger.info(`Usuário ${socket.userId} conectado com socket ID: ${socket.id}`);
+
+  socket.join(userRoom(socket.userId));
+  // Sala da sessão de login: revogar a sessão desconecta este socket
+  socket.join(sessionRoom(socket.sessionId));
+  scheduleTokenExpiry(socket);
+
+  if (addConnection(socket.userId, socket.id)) {
+    socket.broadcast.emit("user_online", socket.userId);
+  }
 
-  // When a user connects and authenticates, associate their userId with the socket
+  // Inscrição automática nas salas de chat do clã e da federação do usuário
+  loadSocketUser(socket.userId)
+    .then(async (user) => {
+      if (!user) return;
+      for (const { type, id } of defaultScopesFor(user)) {
+        if (!(await subscriptionError(user, type, id))) {
+          socket.join(scopeRoom(type, id));
+        }
+      }
+    })
+    .catch((error) => logger.error(`Erro ao inscrever socket ${socket.id} nas salas: ${error.message}`));
+
+  // Inscrição manual (ex.: após entrar num clã por outro dispositivo). Pertencer ao escopo é obrigatório.
+  socket.on("subscribe", async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    const { type, id } = payloadOf(payload);
+    try {
+      const user = await loadSocketUser(socket.userId);
+      const error = user ? await subscriptionError(user, type, id) : "Usuário não encontrado.";
+      if (error) {
+        return reply({ status: "error", message: error });
+      }
+      socket.join(scopeRoom(type, id));
+      reply({ status: "ok" });
+    } catch (error) {
+      logger.error(`Erro ao inscrever socket ${socket.id} em ${type} ${id}: ${error.message}`);
+      reply({ status: "error", message: "Erro interno do servidor." });
+    }
+  });
+
+  socket.on("unsubscribe", (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    const { type, id } = payloadOf(payload);
+    if (!["clan", "federation"].includes(type) || !id) {
+      return reply({ status: "error", message: "Tipo de sala inválido." });
+    }
+    socket.leave(scopeRoom(type, id));
+    reply({ status: "ok" });
+  });
+
+  // Mantido por compatibilidade com clientes antigos: a identidade enviada é ignorada
   socket.on("user_connected", (userId) => {
-    socket.userId = userId; // Store userId on the socket object
-    connectedUsers.set(userId, socket.id);
-    logger.info(`Usuário ${userId} conectado com socket ID: ${socket.id}`);
-    // Optionally, broadcast presence to other users
-    socket.broadcast.emit("user_online", userId);
+    if (userId && userId !== socket.userId) {
+      logger.warn(`Socket ${socket.id} (usuário ${socket.userId}) tentou se identificar como ${userId}. Ignorado.`);
+    }
+  });
+
+  // Renova o token do socket sem reconectar (após /api/auth/refresh)
+  socket.on("reauthenticate", async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    const { token } = payloadOf(payload);
+    try {
+      const auth = await verifySocketToken(token);
+      if (auth.userId !== socket.userId || auth.sessionId !== socket.sessionId) {
+        return reply({ status: "error", message: "Token pertence a outra sessão" });
+      }
+      socket.tokenExpiresAt = auth.expiresAt;
+      scheduleTokenExpiry(socket);
+      reply({ status: "ok" });
+    } catch (error) {
+      reply({ status: "error", message: "Token inválido" });
+    }
+  });
+
+  // Canais: entra na sala do canal e recebe o histórico recente
+  socket.on("join_channel", async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    const { channelId } = payloadOf(payload);
+    try {
+      const { error, channel } = await loadChannelForMember(socket.userId, channelId);
+      if (error) {
+        return reply({ status: "error", message: error });
+      }
+      socket.join(channelRoom(channel._id));
+      // Página mais recente; as anteriores vêm por GET /api/channels/:id/messages?before=
+      const { messages, pagination } = await pageMessages("channel", channel._id, {}, socket.userId);
+      reply({ status: "ok", messages, pagination });
+    } catch (error) {
+      logger.error(`Erro em join_channel (socket ${socket.id}, canal ${channelId}): ${error.message}`);
+      reply({ status: "error", message: "Erro interno do servidor." });
+    }
+  });
+
+  // Grava a mensagem e a entrega a todos na sala do canal (inclusive ao remetente)
+  socket.on("send_message", async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    const { channelId, content, attachmentId, replyToId, quoteId } = payloadOf(payload);
+    try {
+      const { error: accessError, channel } = await loadChannelForMember(socket.userId, channelId);
+      if (accessError) {
+        return reply({ status: "error", message: accessError });
+      }
+      const { error, message } = await createChannelMessage(channel, socket.userId, { content, attachmentId, replyToId, quoteId });
+      if (error) {
+        return reply({ status: "error", message: error });
+      }
+      // Resposta em fio não entra no chat principal: chega só por thread_reply
+      if (!message.threadRoot) io.to(channelRoom(channel._id)).emit("receive_message", presentMessage(message));
+      await registerReply(io, "channel", message);
+      reply({ status: "ok", message: presentMessage(message, socket.userId) });
+    } catch (error) {
+      logger.error(`Erro em send_message (socket ${socket.id}, canal ${channelId}): ${error.message}`);
+      reply({ status: "error", message: "Erro interno do servidor." });
+    }
+  });
+
+  socket.on("leave_channel", (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    const { channelId } = payloadOf(payload);
+    if (!channelId) {
+      return reply({ status: "error", message: "ID do canal é obrigatório." });
+    }
+    socket.leave(channelRoom(channelId));
+    reply({ status: "ok" });
+  });
+
+  // Chat global: entra na sala do canal de texto (sem channelId, o canal padrão) e recebe as mensagens recentes
+  socket.on("join_global_chat", async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    const { channelId } = payloadOf(payload);
+    try {
+      const [user, channel] = await Promise.all([loadSocketUser(socket.userId), loadGlobalChatChannel(channelId)]);
+      if (!user || !channel) {
+        return reply({ status: "error", message: "Canal global não encontrado." });
+      }
+      if (await findActiveBan(user._id, "global", channel._id)) {
+        return reply({ status: "error", message: "Você está banido deste chat global." });
+      }
+      socket.join(globalChatRoom(channel._id));
+      const { messages, pagination } = await pageMessages("global", channel._id, {}, socket.userId);
+      reply({ status: "ok", channel: presentChatSettings(channel, user), messages, pagination });
+    } catch (error) {
+      logger.error(`Erro em join_global_chat (socket ${socket.id}, canal ${channelId}): ${error.message}`);
+      reply({ status: "error", message: "Erro interno do servidor." });
+    }
+  });
+
+  socket.on("leave_global_chat", (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    const { channelId } = payloadOf(payload);
+    if (!channelId) {
+      return reply({ status: "error", message: "ID do canal é obrigatório." });
+    }
+    socket.leave(globalChatRoom(channelId));
+    reply({ status: "ok" });
+  });
+
+  // Reações a mensagens de canal, clã, federação, conversa privada ou chat global (mesmas regras das rotas .../reactions)
+  const handleReaction = (action) => async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    const { chatType, messageId, emoji } = payloadOf(payload);
+    try {
+      const user = await loadSocketUser(socket.userId);
+      const loaded = user
+        ? await loadMessageForUser(chatType, messageId, user, createMembership())
+        : { error: "Usuário não encontrado." };
+      if (loaded.error) {
+        return reply({ status: "error", message: loaded.error });
+      }
+
+      const { error, message, emoji: applied } = await reactToMessage(chatType, action, loaded.message, user._id, emoji);
+      if (error) {
+        return reply({ status: "error", message: error });
+      }
+      broadcastMessageChange(io, chatType, "message_reaction", message, { emoji: applied, user: socket.userId, action });
+      reply({ status: "ok", message: presentMessage(message, socket.userId) });
+    } catch (error) {
+      logger.error(`Erro em reação (socket ${socket.id}, mensagem ${messageId}): ${error.message}`);
+      reply({ status: "error", message: "Erro interno do servidor." });
+    }
+  };
+
+  socket.on("add_reaction", handleReaction("added"));
+  socket.on("remove_reaction", handleReaction("removed"));
+
+  // Marca a conversa como lida até a mensagem e sincroniza os outros dispositivos do usuário
+  socket.on("mark_read", async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    const { chatType, messageId } = payloadOf(payload);
+    try {
+      const user = await loadSocketUser(socket.userId);
+      const loaded = user
+        ? await loadMessageForUser(chatType, messageId, user, createMembership())
+        : { error: "Usuário não encontrado." };
+      if (loaded.error) {
+        return reply({ status: "error", message: loaded.error });
+      }
+
+      const { target, message } = loaded;
+      const { cursor, advanced } = await markReadUpTo(user._id, chatType, target._id, message);
+      const state = await readState(user._id, chatType, target._id, cursor);
+      if (advanced) {
+        publishReadState(io, user._id, state);
+      }
+      reply({ status: "ok", data: state });
+    } catch (error) {
+      logger.error(`Erro em mark_read (socket ${socket.id}, mensagem ${messageId}): ${error.message}`);
+      reply({ status: "error", message: "Erro interno do servidor." });
+    }
   });
 
   // WebRTC Signaling Events
   socket.on("webrtc_signal", (data) => {
-    const { targetUserId, signalType, signalData } = data;
-    const targetSocketId = connectedUsers.get(targetUserId);
+    const { targetUserId, signalType, signalData } = payloadOf(data);
 
-    if (targetSocketId) {
+    if (isOnline(targetUserId)) {
       logger.info(`Retransmitindo sinal ${signalType} para ${targetUserId} de ${socket.userId}`);
-      io.to(targetSocketId).emit("webrtc_signal", {
+      io.to(userRoom(targetUserId)).emit("webrtc_signal", {
         senderUserId: socket.userId, // Sender's userId
         signalType,
         signalData,
@@ -188,9 +433,10 @@ io.on("connection", (socket) => {
 
   socket.on("disconnect", () => {
     logger.info(`Cliente desconectado: ${socket.id}`);
-    // Remove user from map and broadcast presence
-    if (socket.userId) {
-      connectedUsers.delete(socket.userId);
+    clearTimeout(socket.tokenExpiryTimer);
+
+    // Remove o socket e só anuncia offline quando o último dispositivo sair
+    if (removeConnection(socket.userId, socket.id)) {
       logger.info(`Usuário ${socket.userId} desconectado.`);
       socket.broadcast.emit("user_offline", socket.userId);
     }
@@ -206,10 +452,18 @@ app.use("/api/auth", authRoutes);
 logger.info("Registering /api/users routes...");
 app.use("/api/users", userRoutes);
 
+// Dados do usuário logado (ex.: mensagens não lidas)
+logger.info("Registering /api/me routes...");
+app.use("/api/me", meRoutes);
+
 // Clãs
 logger.info("Registering /api/clans routes...");
 app.use("/api/clans", clanRoutes);
 
+// Convites e solicitações de entrada
+logger.info("Registering /api/invites routes...");
+app.use("/api/invites", inviteRoutes);
+
 // Federações
 logger.info("Registering /api/federations routes...");
 app.use("/api/federations", federationRoutes);
@@ -257,6 +511,14 @@ app.use("/api/clan-chat", (req, res, next) => {
   next();
 }, clanChatRoutes);
 
+// Mensagens privadas
+logger.info("Registering /api/dms routes...");
+app.use("/api/dms", dmRoutes);
+
+// Chat global (canais globais de texto)
+logger.info("Registering /api/global-chat routes...");
+app.use("/api/global-chat", globalChatRoutes);
+
 // --- MISSÕES QRR DE CLÃ ---
 logger.info("Registering /api/clan-missions routes...");
 app.use("/api/clan-missions", clanMissionRoutes);
@@ -275,6 +537,23 @@ server.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
 });
 
+// --- Remoção periódica de suspensões, convites, bans vencidos e anexos nunca usados ---
+// (protect, login e socket também removem na hora ao encontrar uma vencida)
+setInterval(() => {
+  liftExpiredSuspensions().catch((err) =>
+    logger.error(`Erro ao remover suspensões expiradas: ${err.message}`)
+  );
+  expirePendingInvites().catch((err) =>
+    logger.error(`Erro ao expirar convites pendentes: ${err.message}`)
+  );
+  liftExpiredBans().catch((err) =>
+    logger.error(`Erro ao remover bans expirados: ${err.message}`)
+  );
+  removeUnclaimedAttachments().catch((err) =>
+    logger.error(`Erro ao remover anexos não utilizados: ${err.message}`)
+  );
+}, 5 * 60 * 1000).unref();
+
 
 
 
@@ -0,0 +1,262 @@
+const fs = require("fs/promises");
+const path = require("path");
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+const ChatAttachment = require("../models/ChatAttachment");
+const { sniffFile } = require("../utils/fileSignature");
+const { transcodeVoiceNote } = require("./voiceNoteService");
+
+/**
+ * Anexos dos chats (imagem, arquivo, áudio e nota de voz). O arquivo é gravado fora da
+ * pasta pública /uploads e servido pela rota da própria conversa, que confere
+ * se quem pede participa dela. O tipo vem dos bytes do arquivo; o nome e o
+ * Content-Type enviados pelo cliente são ignorados na validação.
+ */
+
+const ATTACHMENTS_DIR = path.resolve(process.env.CHAT_ATTACHMENTS_DIR || "storage/chat_attachments");
+
+const MB = 1024 * 1024;
+const SIZE_LIMITS = {
+  image: (Number(process.env.CHAT_IMAGE_MAX_MB) || 10) * MB,
+  audio: (Number(process.env.CHAT_AUDIO_MAX_MB) || 16) * MB,
+  file: (Number(process.env.CHAT_FILE_MAX_MB) || 25) * MB,
+};
+// Limite do upload em si (multer): o maior dos limites por tipo
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(SIZE_LIMITS));
+
+const KIND_LABELS = { image: "imagens", audio: "áudios", file: "arquivos" };
+
+const THUMBNAIL_SIZE = 320;
+
+// Anexo enviado e nunca usado em mensagem é apagado depois deste prazo
+const UNCLAIMED_TTL_MINUTES = Number(process.env.CHAT_ATTACHMENT_UNCLAIMED_MINUTES) || 60;
+
+// Prefixo das rotas de cada chat; o anexo é servido em <prefixo>/attachments/:attachmentId
+const ROUTE_PREFIXES = {
+  channel: (scopeId) => `/api/channels/${scopeId}`,
+  clan: (scopeId) => `/api/clan-chat/${scopeId}`,
+  federation: (scopeId) => `/api/federation-chat/${scopeId}`,
+  direct: (scopeId) => `/api/dms/${scopeId}`,
+  global: (scopeId) => `/api/global-chat/${scopeId}`,
+};
+
+const attachmentUrl = (attachment) =>
+  `${ROUTE_PREFIXES[attachment.chatType](attachment.scope)}/attachments/${attachment._id}`;
+
+// Metadados da nota de voz, copiados também para a mensagem
+const voiceFields = (attachment) => ({
+  duration: attachment.duration,
+  codec: attachment.codec,
+  waveform: attachment.waveform,
+});
+
+// Formato enviado aos clientes
+const presentAttachment = (attachment) => {
+  const url = attachmentUrl(attachment);
+  return {
+    _id: attachment._id,
+    kind: attachment.kind,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    originalName: attachment.originalName,
+    width: attachment.width,
+    height: attachment.height,
+    url,
+    thumbnailUrl: attachment.thumbnailKey ? `${url}/thumbnail` : null,
+    voice: attachment.kind === "voice" ? voiceFields(attachment) : null,
+    createdAt: attachment.createdAt,
+  };
+};
+
+// Só o nome, sem diretórios nem caracteres de controle
+const cleanFileName = (name) =>
+  path.basename(String(name || "")).replace(/[\x00-\x1f\x7f]/g, "").slice(0, 255);
+
+// Dimensões já com a rotação EXIF aplicada e miniatura em WebP
+const processImage = async (buffer) => {
+  const metadata = await sharp(buffer).metadata();
+  const rotated = metadata.orientation >= 5;
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+    .webp({ quality: 70 })
+    .toBuffer();
+  return {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    thumbnail,
+  };
+};
+
+const removeFiles = (keys) =>
+  Promise.all(keys.filter(Boolean).map(key => fs.rm(path.join(ATTACHMENTS_DIR, key), { force: true })));
+
+// Grava o conteúdo (e a miniatura, se houver) e registra o anexo; sem registro, nada fica no disco
+const persistAttachment = async (kind, scopeId, { ext, content, thumbnail, ...fields }) => {
+  const _id = new mongoose.Types.ObjectId();
+  const dir = `${kind}/${scopeId}`;
+  const storageKey = `${dir}/${_id}${ext}`;
+  const thumbnailKey = thumbnail ? `${dir}/${_id}_thumb.webp` : null;
+
+  await fs.mkdir(path.join(ATTACHMENTS_DIR, dir), { recursive: true });
+  try {
+    await fs.writeFile(path.join(ATTACHMENTS_DIR, storageKey), content);
+    if (thumbnailKey) await fs.writeFile(path.join(ATTACHMENTS_DIR, thumbnailKey), thumbnail);
+
+    return await ChatAttachment.create({
+      _id,
+      chatType: kind,
+      scope: scopeId,
+      size: content.length,
+      storageKey,
+      thumbnailKey,
+      ...fields,
+    });
+  } catch (error) {
+    await removeFiles([storageKey, thumbnailKey]);
+    throw error;
+  }
+};
+
+// Tipo pelos bytes e limite de tamanho do tipo. Retorna `{ error, status?, limitBytes? }` ou `{ detected }`.
+const checkUpload = (file) => {
+  const detected = sniffFile(file && file.buffer);
+  if (!detected) {
+    return { error: "Formato de arquivo não suportado." };
+  }
+  const limitBytes = SIZE_LIMITS[detected.kind];
+  if (file.size > limitBytes) {
+    const error = `Arquivo muito grande: o limite para ${KIND_LABELS[detected.kind]} é ${limitBytes / MB} MB.`;
+    return { error, status: 413, limitBytes };
+  }
+  return { detected };
+};
+
+/**
+ * Valida e grava o arquivo recebido pelo multer (memoryStorage).
+ * Retorna `{ error, status?, limitBytes? }` ou `{ attachment }`.
+ */
+const storeAttachment = async (kind, scopeId, userId, file) => {
+  const { error, status, limitBytes, detected } = checkUpload(file);
+  if (error) return { error, status, limitBytes };
+
+  let image = {};
+  if (detected.kind === "image") {
+    try {
+      image = await processImage(file.buffer);
+    } catch {
+      return { error: "Imagem inválida ou corrompida." };
+    }
+  }
+
+  const attachment = await persistAttachment(kind, scopeId, {
+    ext: detected.ext,
+    content: file.buffer,
+    thumbnail: image.thumbnail,
+    uploader: userId,
+    kind: detected.kind,
+    mimeType: detected.mimeType,
+    originalName: cleanFileName(file.originalname),
+    width: image.width || null,
+    height: image.height || null,
+  });
+  return { attachment };
+};
+
+/**
+ * Nota de voz: aceita qualquer áudio reconhecido, converte para Opus/OGG e
+ * guarda duração, codec e forma de onda. Retorna `{ error, status?, limitBytes? }` ou `{ attachment }`.
+ */
+const storeVoiceNote = async (kind, scopeId, userId, file) => {
+  const { error, status, limitBytes, detected } = checkUpload(file);
+  if (error) return { error, status, limitBytes };
+  if (detected.kind !== "audio") {
+    return { error: "Envie um arquivo de áudio." };
+  }
+
+  const converted = await transcodeVoiceNote(file.buffer);
+  if (converted.error) return converted;
+
+  const attachment = await persistAttachment(kind, scopeId, {
+    ext: ".ogg",
+    content: converted.audio,
+    uploader: userId,
+    kind: "voice",
+    mimeType: "audio/ogg",
+    originalName: cleanFileName(file.originalname),
+    duration: converted.duration,
+    codec: converted.codec,
+    waveform: converted.waveform,
+  });
+  return { attachment };
+};
+
+// Anexo da conversa informada (ID malformado conta como inexistente)
+const findScopedAttachment = (kind, scopeId, attachmentId) =>
+  ChatAttachment.findOne({ _id: attachmentId, chatType: kind, scope: scopeId }).catch(() => null);
+
+// Caminho absoluto do arquivo original ou da miniatura (null se não houver)
+const attachmentFilePath = (attachment, variant) => {
+  const key = variant === "thumbnail" ? attachment.thumbnailKey : attachment.storageKey;
+  return key ? path.join(ATTACHMENTS_DIR, key) : null;
+};
+
+/**
+ * Vincula o anexo à mensagem que está sendo enviada. Só o autor do upload pode
+ * usá-lo, na mesma conversa e uma única vez (a condição vai no próprio update).
+ * Retorna `{ error }` ou os campos da mensagem: `{ fields: { type, fileUrl, attachment, voice? } }`.
+ */
+const claimAttachment = async (kind, scopeId, userId, attachmentId, messageId) => {
+  const attachment = await ChatAttachment.findOneAndUpdate(
+    { _id: attachmentId, chatType: kind, scope: scopeId, uploader: userId, message: null },
+    { $set: { message: messageId } },
+    { new: true }
+  ).catch(() => null);
+  if (!attachment) return { error: "Anexo não encontrado ou já enviado." };
+  const fields = { type: attachment.kind, fileUrl: attachmentUrl(attachment), attachment: attachment._id };
+  if (attachment.kind === "voice") fields.voice = voiceFields(attachment);
+  return { fields };
+};
+
+// Desfaz o vínculo quando a mensagem não chegou a ser gravada
+const releaseAttachment = (attachmentId) =>
+  ChatAttachment.updateOne({ _id: attachmentId }, { $set: { message: null } });
+
+// Remove o anexo e os arquivos (mensagem apagada)
+const removeAttachment = async (attachmentId) => {
+  const attachment = await ChatAttachment.findByIdAndDelete(attachmentId);
+  if (attachment) await removeFiles([attachment.storageKey, attachment.thumbnailKey]);
+};
+
+/**
+ * Apaga anexos (registro e arquivos) que ninguém usou em mensagem em
+ * UNCLAIMED_TTL_MINUTES (executado periodicamente pelo servidor). Retorna quantos saíram.
+ */
+const removeUnclaimedAttachments = async () => {
+  const cutoff = new Date(Date.now() - UNCLAIMED_TTL_MINUTES * 60 * 1000);
+  const stale = await ChatAttachment.find({ message: null, createdAt: { $lt: cutoff } }).select("_id").limit(500);
+
+  let removed = 0;
+  for (const { _id } of stale) {
+    // A condição vai no próprio delete: anexo usado nesse meio-tempo fica
+    const attachment = await ChatAttachment.findOneAndDelete({ _id, message: null });
+    if (!attachment) continue;
+    await removeFiles([attachment.storageKey, attachment.thumbnailKey]);
+    removed += 1;
+  }
+  return removed;
+};
+
+module.exports = {
+  SIZE_LIMITS,
+  MAX_UPLOAD_BYTES,
+  presentAttachment,
+  storeAttachment,
+  storeVoiceNote,
+  findScopedAttachment,
+  attachmentFilePath,
+  claimAttachment,
+  releaseAttachment,
+  removeAttachment,
+  removeUnclaimedAttachments,
+};
@@ -0,0 +1,96 @@
+const Ban = require("../models/Ban");
+const logger = require("../utils/logger");
+const { userRoom } = require("../utils/socketRooms");
+
+const BAN_MESSAGES = {
+  clan: "Você está banido deste clã.",
+  federation: "Você está banido desta federação.",
+  channel: "Você está banido deste canal.",
+  global: "Você está banido deste chat global.",
+};
+
+// Corpo de erro padrão devolvido a usuários banidos de um clã, federação, canal ou chat global
+const banPayload = (ban) => ({
+  msg: BAN_MESSAGES[ban.targetType],
+  banned: true,
+  targetType: ban.targetType,
+  reason: ban.reason || null,
+  expiresAt: ban.endAt || null,
+});
+
+/**
+ * Busca o ban ativo do usuário no escopo informado. Bans vencidos são
+ * desativados na hora. Retorna o ban ou null se o usuário pode prosseguir.
+ */
+const findActiveBan = async (userId, targetType, targetId) => {
+  if (!userId || !targetId) return null;
+  const ban = await Ban.findOne({ user: userId, targetType, targetId, active: true });
+  if (!ban) return null;
+
+  if (ban.endAt && ban.endAt <= new Date()) {
+    ban.active = false;
+    ban.liftedAt = new Date();
+    await ban.save();
+    return null;
+  }
+  return ban;
+};
+
+// Devolve o payload de erro se o usuário estiver banido do escopo, ou null
+const checkBan = async (userId, targetType, targetId) => {
+  const ban = await findActiveBan(userId, targetType, targetId);
+  return ban ? banPayload(ban) : null;
+};
+
+// Aplica o ban (substitui um ban ativo anterior no mesmo escopo) e avisa o usuário
+const banUser = async ({ userId, targetType, targetId, reason, endAt, bannedBy, io }) => {
+  await Ban.updateMany(
+    { user: userId, targetType, targetId, active: true },
+    { $set: { active: false, liftedBy: bannedBy, liftedAt: new Date() } }
+  );
+
+  const ban = await Ban.create({
+    user: userId,
+    targetType,
+    targetId,
+    reason: reason || "",
+    endAt: endAt || null,
+    bannedBy,
+  });
+
+  if (io) {
+    io.to(userRoom(userId)).emit("banned", { targetId: String(targetId), ...banPayload(ban) });
+  }
+  logger.info(`[BAN] Usuário ${userId} banido de ${targetType} ${targetId} por ${bannedBy}.`);
+  return ban;
+};
+
+// Remove o ban ativo. Retorna false se não havia ban ativo.
+const unbanUser = async ({ userId, targetType, targetId, liftedBy }) => {
+  const result = await Ban.updateMany(
+    { user: userId, targetType, targetId, active: true },
+    { $set: { active: false, liftedBy, liftedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Desativa em lote os bans vencidos (executado periodicamente pelo servidor)
+const liftExpiredBans = async (filter = {}) => {
+  const now = new Date();
+  const result = await Ban.updateMany(
+    { ...filter, active: true, endAt: { $ne: null, $lte: now } },
+    { $set: { active: false, liftedAt: now } }
+  );
+  if (result.modifiedCount > 0) {
+    logger.info(`[BAN] ${result.modifiedCount} ban(s) expirado(s) removido(s).`);
+  }
+};
+
+module.exports = {
+  banPayload,
+  findActiveBan,
+  checkBan,
+  banUser,
+  unbanUser,
+  liftExpiredBans,
+};
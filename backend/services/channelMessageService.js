@@ -0,0 +1,68 @@
+const Channel = require("../models/Channel");
+const Message = require("../models/Message");
+const { findActiveBan } = require("./banService");
+const { claimAttachment, releaseAttachment } = require("./attachmentService");
+const { referenceFields } = require("./threadService");
+
+/**
+ * Mensagens de canais trocadas pelo Socket.IO (join_channel / send_message).
+ * Só membros do canal, e não banidos, entram na sala e enviam mensagens.
+ */
+
+const MAX_CONTENT_LENGTH = 1000;
+
+const SENDER_FIELDS = "username avatar";
+
+// Carrega o canal e verifica o acesso do usuário. Retorna `{ error }` ou `{ channel }`.
+const loadChannelForMember = async (userId, channelId) => {
+  if (!channelId) return { error: "ID do canal é obrigatório." };
+
+  const channel = await Channel.findById(channelId).catch(() => null);
+  if (!channel) return { error: "Canal não encontrado." };
+
+  if (await findActiveBan(userId, "channel", channel._id)) {
+    return { error: "Você está banido deste canal." };
+  }
+  if (!channel.members.some(id => id.toString() === userId.toString())) {
+    return { error: "Você não é membro deste canal." };
+  }
+  return { channel };
+};
+
+/**
+ * Valida e grava a mensagem. Com `attachmentId` (anexo enviado por
+ * POST /api/channels/:id/attachments) o texto é opcional e vira legenda.
+ * `replyToId` responde em fio e `quoteId` cita outra mensagem do canal.
+ * Retorna `{ error }` ou `{ message }` (sender populado).
+ */
+const createChannelMessage = async (channel, userId, { content, attachmentId, replyToId, quoteId } = {}) => {
+  const text = typeof content === "string" ? content.trim() : "";
+  if (!text && !attachmentId) return { error: "A mensagem não pode ser vazia." };
+  if (text.length > MAX_CONTENT_LENGTH) {
+    return { error: `A mensagem deve ter no máximo ${MAX_CONTENT_LENGTH} caracteres.` };
+  }
+
+  const reference = await referenceFields("channel", channel._id, { replyToId, quoteId });
+  if (reference.error) return { error: reference.error };
+
+  const message = new Message({ channel: channel._id, sender: userId, content: text, ...reference.fields });
+  if (attachmentId) {
+    const { error, fields } = await claimAttachment("channel", channel._id, userId, attachmentId, message._id);
+    if (error) return { error };
+    message.set(fields);
+  }
+
+  try {
+    await message.save();
+  } catch (error) {
+    if (attachmentId) await releaseAttachment(attachmentId);
+    throw error;
+  }
+  await message.populate("sender", SENDER_FIELDS);
+  return { message };
+};
+
+module.exports = {
+  loadChannelForMember,
+  createChannelMessage,
+};
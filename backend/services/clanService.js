@@ -0,0 +1,78 @@
+const Clan = require("../models/Clan");
+const User = require("../models/User");
+const Federation = require("../models/Federation");
+const { findActiveBan } = require("./banService");
+const { joinScopeRoom, leaveScopeRoom } = require("../utils/socketRooms");
+
+/**
+ * Regras compartilhadas de entrada e saída de membros do clã
+ * (entrada livre, convite aceito e solicitação aprovada passam por aqui).
+ */
+
+/**
+ * Adiciona o usuário ao clã. Retorna uma mensagem de erro ou null em caso de sucesso.
+ * Com `io`, os sockets do usuário entram nas salas do clã (e da federação) na hora.
+ */
+const addMember = async (clan, user, { io } = {}) => {
+  if (user.clan) {
+    return user.clan.toString() === clan._id.toString()
+      ? "Usuário já é membro deste clã."
+      : "Usuário já pertence a um clã.";
+  }
+
+  if (await findActiveBan(user._id, "clan", clan._id)) {
+    return "Usuário está banido deste clã.";
+  }
+
+  const fields = { clan: clan._id, clanRole: "member", clanJoinedAt: new Date() };
+  // Membro de clã federado passa a ser membro da federação
+  if (clan.federation && String(user.federation) !== String(clan.federation)) {
+    fields.federation = clan.federation;
+    fields.federationRole = "member";
+  }
+
+  // Reivindica a vaga de forma atômica: duas entradas simultâneas não colocam o usuário em dois clãs
+  const claimed = await User.findOneAndUpdate({ _id: user._id, clan: null }, { $set: fields }, { new: true });
+  if (!claimed) {
+    const current = await User.findById(user._id).select("clan");
+    return current && current.clan && current.clan.toString() === clan._id.toString()
+      ? "Usuário já é membro deste clã."
+      : "Usuário já pertence a um clã.";
+  }
+  user.set(fields);
+
+  await Clan.updateOne({ _id: clan._id }, { $addToSet: { members: user._id } });
+  clan.members.addToSet(user._id);
+
+  joinScopeRoom(io, user._id, "clan", clan._id);
+  joinScopeRoom(io, user._id, "federation", clan.federation);
+  return null;
+};
+
+// Remove o usuário do clã (sub-liderança e cargos customizados inclusos) e, com `io`, das salas
+const removeMember = async (clan, user, { io } = {}) => {
+  const userId = user._id.toString();
+  clan.members = clan.members.filter(member => member.toString() !== userId);
+  clan.subLeaders = clan.subLeaders.filter(subLeader => subLeader.toString() !== userId);
+  clan.memberRoles = clan.memberRoles.filter(mr => mr.user.toString() !== userId);
+  await clan.save();
+
+  user.clan = null;
+  user.clanRole = null;
+  user.clanJoinedAt = null;
+  // Sai junto da federação do clã (a liderança máxima continua vinculada)
+  if (clan.federation && String(user.federation) === String(clan.federation) && user.federationRole !== "leaderMax") {
+    user.federation = null;
+    user.federationRole = null;
+    await Federation.updateOne({ _id: clan.federation }, { $pull: { subLeaders: user._id, members: user._id } });
+    leaveScopeRoom(io, user._id, "federation", clan.federation);
+  }
+  await user.save();
+
+  leaveScopeRoom(io, user._id, "clan", clan._id);
+};
+
+module.exports = {
+  addMember,
+  removeMember,
+};
@@ -0,0 +1,215 @@
+const Clan = require("../models/Clan");
+const DiplomacyProposal = require("../models/DiplomacyProposal");
+const DiplomacyEvent = require("../models/DiplomacyEvent");
+
+/**
+ * Diplomacia entre clãs. O estado é sempre simétrico (gravado nos dois clãs)
+ * e exclusivo: um clã é aliado, tem pacto de não agressão, está em guerra
+ * ou é neutro em relação ao outro, nunca mais de um ao mesmo tempo.
+ */
+
+const PROPOSAL_TTL_DAYS = Number(process.env.DIPLOMACY_PROPOSAL_TTL_DAYS) || 7;
+
+// Estado da relação -> campo do Clan que o guarda
+const RELATION_FIELDS = {
+  ally: "allies",
+  nonAggression: "nonAggression",
+  war: "enemies",
+};
+
+// Estado resultante de cada tipo de proposta aceita
+const PROPOSAL_RESULTS = {
+  ally: "ally",
+  nonAggression: "nonAggression",
+  peace: "neutral",
+};
+
+const proposalExpiry = () =>
+  new Date(Date.now() + PROPOSAL_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Relação atual do clã com o outro ("ally", "nonAggression", "war" ou "neutral")
+const relationBetween = (clan, otherClanId) => {
+  const otherId = otherClanId.toString();
+  for (const [relation, field] of Object.entries(RELATION_FIELDS)) {
+    if ((clan[field] || []).some(id => id.toString() === otherId)) return relation;
+  }
+  return "neutral";
+};
+
+// Grava a relação nos dois clãs, removendo qualquer estado anterior entre eles
+const setRelation = async (clan, otherClan, relation) => {
+  const pairs = [[clan, otherClan], [otherClan, clan]];
+  for (const [self, other] of pairs) {
+    const otherId = other._id.toString();
+    for (const field of Object.values(RELATION_FIELDS)) {
+      self[field] = (self[field] || []).filter(id => id.toString() !== otherId);
+    }
+    if (RELATION_FIELDS[relation]) {
+      self[RELATION_FIELDS[relation]].push(other._id);
+    }
+    await self.save();
+  }
+};
+
+const recordEvent = ({ clan, otherClanId, actor, action, proposal, fromRelation, toRelation }) =>
+  DiplomacyEvent.create({
+    clans: [clan._id, otherClanId],
+    actorClan: clan._id,
+    actor,
+    action,
+    proposal: proposal ? proposal._id : null,
+    fromRelation: fromRelation || null,
+    toRelation: toRelation || null,
+  });
+
+// Marca como expiradas as propostas pendentes vencidas (envolvendo o clã, se informado)
+const expirePendingProposals = async (clanId) => {
+  const filter = { status: "pending", expiresAt: { $lte: new Date() } };
+  if (clanId) filter.$or = [{ fromClan: clanId }, { toClan: clanId }];
+  await DiplomacyProposal.updateMany(filter, { $set: { status: "expired" } });
+};
+
+// Proposta pendente e válida entre os dois clãs (em qualquer direção)
+const findPendingBetween = async (clanId, otherClanId) => {
+  await expirePendingProposals(clanId);
+  return DiplomacyProposal.findOne({
+    status: "pending",
+    $or: [
+      { fromClan: clanId, toClan: otherClanId },
+      { fromClan: otherClanId, toClan: clanId },
+    ],
+  });
+};
+
+// Cancela as propostas pendentes entre os dois clãs (ex.: declaração de guerra)
+const cancelPendingBetween = async (clanId, otherClanId, userId) => {
+  await DiplomacyProposal.updateMany(
+    {
+      status: "pending",
+      $or: [
+        { fromClan: clanId, toClan: otherClanId },
+        { fromClan: otherClanId, toClan: clanId },
+      ],
+    },
+    { $set: { status: "cancelled", respondedBy: userId, respondedAt: new Date() } }
+  );
+};
+
+/**
+ * Cria uma proposta do clã para o outro. Retorna `{ error }` se a proposta
+ * não fizer sentido no estado atual ou `{ proposal }` em caso de sucesso.
+ */
+const proposeRelation = async ({ clan, otherClan, relation, message, userId }) => {
+  if (clan._id.toString() === otherClan._id.toString()) {
+    return { error: "Um clã não pode propor diplomacia a si mesmo." };
+  }
+
+  const current = relationBetween(clan, otherClan._id);
+  if (relation === "peace" && current !== "war") {
+    return { error: "Só é possível propor paz a um clã com quem se está em guerra." };
+  }
+  if (relation !== "peace" && current === relation) {
+    return { error: relation === "ally" ? "Este clã já é seu aliado." : "Já existe um pacto de não agressão com este clã." };
+  }
+
+  if (await findPendingBetween(clan._id, otherClan._id)) {
+    return { error: "Já existe uma proposta diplomática pendente entre estes clãs." };
+  }
+
+  const proposal = await DiplomacyProposal.create({
+    fromClan: clan._id,
+    toClan: otherClan._id,
+    relation,
+    message,
+    proposedBy: userId,
+    expiresAt: proposalExpiry(),
+  });
+
+  await recordEvent({ clan, otherClanId: otherClan._id, actor: userId, action: "proposed", proposal, fromRelation: current, toRelation: PROPOSAL_RESULTS[relation] });
+  return { proposal };
+};
+
+// Aceita a proposta recebida pelo clã e aplica a nova relação nos dois lados
+const acceptProposal = async ({ proposal, clan, userId }) => {
+  const otherClan = await Clan.findById(proposal.fromClan);
+  if (!otherClan) {
+    proposal.status = "cancelled";
+    await proposal.save();
+    return { error: "O clã que fez a proposta não existe mais." };
+  }
+
+  const fromRelation = relationBetween(clan, otherClan._id);
+  const toRelation = PROPOSAL_RESULTS[proposal.relation];
+  await setRelation(clan, otherClan, toRelation);
+
+  proposal.status = "accepted";
+  proposal.respondedBy = userId;
+  proposal.respondedAt = new Date();
+  await proposal.save();
+
+  await recordEvent({ clan, otherClanId: otherClan._id, actor: userId, action: "accepted", proposal, fromRelation, toRelation });
+  return { relation: toRelation };
+};
+
+// Recusa (clã alvo) ou cancela (clã que propôs) uma proposta pendente
+const closeProposal = async ({ proposal, clan, userId, status }) => {
+  proposal.status = status;
+  proposal.respondedBy = userId;
+  proposal.respondedAt = new Date();
+  await proposal.save();
+
+  const otherClanId = proposal.fromClan.toString() === clan._id.toString() ? proposal.toClan : proposal.fromClan;
+  await recordEvent({ clan, otherClanId, actor: userId, action: status, proposal });
+};
+
+// Declaração de guerra: unilateral, encerra aliança/pacto e cancela propostas pendentes
+const declareWar = async ({ clan, otherClan, userId }) => {
+  if (clan._id.toString() === otherClan._id.toString()) {
+    return { error: "Um clã não pode declarar guerra a si mesmo." };
+  }
+
+  const fromRelation = relationBetween(clan, otherClan._id);
+  if (fromRelation === "war") {
+    return { error: "Este clã já é seu inimigo." };
+  }
+
+  await cancelPendingBetween(clan._id, otherClan._id, userId);
+  await setRelation(clan, otherClan, "war");
+  await recordEvent({ clan, otherClanId: otherClan._id, actor: userId, action: "war_declared", fromRelation, toRelation: "war" });
+  return {};
+};
+
+// Rompimento unilateral de aliança ou pacto de não agressão (guerra só termina com proposta de paz)
+const breakRelation = async ({ clan, otherClan, userId }) => {
+  const fromRelation = relationBetween(clan, otherClan._id);
+  if (fromRelation === "neutral") {
+    return { error: "Não há aliança ou pacto com este clã." };
+  }
+  if (fromRelation === "war") {
+    return { error: "Para encerrar uma guerra, proponha paz ao outro clã." };
+  }
+
+  await setRelation(clan, otherClan, "neutral");
+  await recordEvent({ clan, otherClanId: otherClan._id, actor: userId, action: "relation_broken", fromRelation, toRelation: "neutral" });
+  return {};
+};
+
+// Remove o clã das relações de todos os outros (usado ao deletar o clã)
+const clearRelations = async (clanId) => {
+  await Clan.updateMany({}, { $pull: { allies: clanId, nonAggression: clanId, enemies: clanId } });
+  await DiplomacyProposal.updateMany(
+    { status: "pending", $or: [{ fromClan: clanId }, { toClan: clanId }] },
+    { $set: { status: "cancelled", respondedAt: new Date() } }
+  );
+};
+
+module.exports = {
+  relationBetween,
+  expirePendingProposals,
+  proposeRelation,
+  acceptProposal,
+  closeProposal,
+  declareWar,
+  breakRelation,
+  clearRelations,
+};
@@ -0,0 +1,279 @@
+const mongoose = require("mongoose");
+const DirectConversation = require("../models/DirectConversation");
+const DirectMessage = require("../models/DirectMessage");
+const ReadCursor = require("../models/ReadCursor");
+const User = require("../models/User");
+const { checkSuspension } = require("./suspensionService");
+const { claimAttachment, releaseAttachment } = require("./attachmentService");
+const { presentMessage, previewOf } = require("./messageService");
+const { referenceFields } = require("./threadService");
+const { readState } = require("./readCursorService");
+const { userRoom } = require("../utils/socketRooms");
+
+/**
+ * Conversas privadas entre dois usuários. Edição, exclusão, reações, leitura,
+ * histórico e anexos usam os serviços comuns dos chats (kind "direct"); aqui
+ * ficam abertura da conversa, envio, bloqueios e denúncias.
+ */
+
+const MAX_TEXT_LENGTH = 1000;
+const DEFAULT_LIST_SIZE = 30;
+const MAX_LIST_SIZE = 100;
+const MAX_REASON_LENGTH = 500;
+// Campos para checar suspensão e bloqueios do outro participante
+const PEER_FIELDS = "username avatar blockedUsers suspended suspensionReason suspensionExpiry";
+
+const sameId = (a, b) => a != null && b != null && a.toString() === b.toString();
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Chave única do par: IDs em ordem
+const conversationKey = (a, b) => [String(a), String(b)].sort().join("_");
+
+const otherParticipantId = (conversation, userId) =>
+  idOf(conversation.participants.find(participant => !sameId(idOf(participant), userId)));
+
+const hasBlocked = (user, otherId) => (user.blockedUsers || []).some(id => sameId(id, otherId));
+
+// Quem do par bloqueou o outro
+const blockersOf = (user, other) => [
+  ...(hasBlocked(user, other._id) ? [user._id] : []),
+  ...(hasBlocked(other, user._id) ? [other._id] : []),
+];
+
+// Outro participante, se ainda pode receber mensagens. Retorna `{ error, status }` ou `{ peer }`.
+const loadAvailablePeer = async (peerId) => {
+  const peer = await User.findById(peerId).select(PEER_FIELDS).catch(() => null);
+  if (!peer) return { error: "Usuário não encontrado.", status: 404 };
+  if (await checkSuspension(peer)) return { error: "Usuário indisponível.", status: 403 };
+  return { peer };
+};
+
+/**
+ * Abre (ou devolve a existente) a conversa com outro usuário. Conversas já
+ * existentes abrem mesmo com bloqueio, para leitura do histórico.
+ * Retorna `{ error, status }` ou `{ conversation, created }`.
+ */
+const openConversation = async (user, otherUserId) => {
+  if (!mongoose.isValidObjectId(otherUserId)) return { error: "Usuário não encontrado.", status: 404 };
+  if (sameId(otherUserId, user._id)) return { error: "Você não pode conversar consigo mesmo.", status: 400 };
+
+  const key = conversationKey(user._id, otherUserId);
+  const existing = await DirectConversation.findOne({ key });
+  if (existing) return { conversation: existing, created: false };
+
+  const { error, status, peer } = await loadAvailablePeer(otherUserId);
+  if (error) return { error, status };
+  if (blockersOf(user, peer).length) {
+    return { error: "Não é possível conversar com este usuário.", status: 403 };
+  }
+
+  try {
+    const conversation = await DirectConversation.create({ key, participants: [user._id, peer._id] });
+    return { conversation, created: true };
+  } catch (err) {
+    // Os dois abriram a conversa ao mesmo tempo: a chave única garante uma só
+    if (err.code !== 11000) throw err;
+    return { conversation: await DirectConversation.findOne({ key }), created: false };
+  }
+};
+
+/**
+ * Grava a mensagem (texto e/ou anexo enviado por POST /api/dms/:id/attachments
+ * ou /voice-notes; replyToId responde em fio, quoteId cita) e atualiza o resumo da conversa.
+ * Retorna `{ error, status? }` ou `{ message }` (sender populado).
+ */
+const sendDirectMessage = async (conversation, sender, { message: content, attachmentId, replyToId, quoteId } = {}) => {
+  if (conversation.blockedBy.length) {
+    return { error: "Não é possível enviar mensagens: um dos participantes bloqueou o outro.", status: 403 };
+  }
+  const { error: peerError, status } = await loadAvailablePeer(otherParticipantId(conversation, sender._id));
+  if (peerError) return { error: peerError, status };
+
+  const text = typeof content === "string" ? content.trim() : "";
+  if (!text && !attachmentId) return { error: "A mensagem não pode ser vazia." };
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { error: `A mensagem deve ter no máximo ${MAX_TEXT_LENGTH} caracteres.` };
+  }
+
+  const reference = await referenceFields("direct", conversation._id, { replyToId, quoteId });
+  if (reference.error) return { error: reference.error };
+
+  const message = new DirectMessage({
+    conversation: conversation._id,
+    participants: conversation.participants,
+    sender: sender._id,
+    message: text,
+    ...reference.fields,
+  });
+  if (attachmentId) {
+    const { error, fields } = await claimAttachment("direct", conversation._id, sender._id, attachmentId, message._id);
+    if (error) return { error };
+    message.set(fields);
+  }
+
+  try {
+    await message.save();
+  } catch (error) {
+    if (attachmentId) await releaseAttachment(attachmentId);
+    throw error;
+  }
+
+  // Envios simultâneos: o resumo só avança para mensagens mais novas
+  await DirectConversation.updateOne(
+    { _id: conversation._id, $or: [{ lastMessageAt: null }, { lastMessageAt: { $lte: message.timestamp } }] },
+    {
+      $set: {
+        lastMessageAt: message.timestamp,
+        lastMessage: {
+          message: message._id,
+          sender: sender._id,
+          type: message.type,
+          preview: previewOf("direct", message),
+          timestamp: message.timestamp,
+        },
+      },
+    }
+  );
+
+  await message.populate("sender", "username avatar");
+  return { message };
+};
+
+// Entrega a mensagem aos dois participantes (todos os dispositivos) pelo evento direct_message.
+// Respostas em fio vão só por thread_reply.
+const publishDirectMessage = (io, message) => {
+  if (io && !message.threadRoot) io.to(message.participants.map(userRoom)).emit("direct_message", { chatType: "direct", ...presentMessage(message) });
+};
+
+/**
+ * Conversas do usuário com mensagens, da mais recente para a mais antiga, com o
+ * outro participante, o resumo da última mensagem e as não lidas.
+ * query: { before (data ISO, lastMessageAt da última conversa recebida), limit }.
+ * Retorna `{ error }` ou `{ conversations, pagination }`.
+ */
+const listConversations = async (user, query = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIST_SIZE, 1), MAX_LIST_SIZE);
+  const filter = { participants: user._id, lastMessageAt: { $ne: null } };
+  if (query.before) {
+    const before = new Date(query.before);
+    if (Number.isNaN(before.getTime())) return { error: "Parâmetro before inválido (use uma data ISO)." };
+    filter.lastMessageAt.$lt = before;
+  }
+
+  const rows = await DirectConversation.find(filter)
+    .sort({ lastMessageAt: -1 })
+    .limit(limit + 1)
+    .populate("participants", "username avatar");
+  const page = rows.slice(0, limit);
+
+  const cursors = await ReadCursor.find({ user: user._id, chatType: "direct", scope: { $in: page.map(c => c._id) } });
+  const cursorByScope = new Map(cursors.map(cursor => [String(cursor.scope), cursor]));
+
+  const conversations = await Promise.all(page.map(async (conversation) => {
+    const peer = conversation.participants.find(participant => participant && !sameId(participant._id, user._id));
+    const state = await readState(user._id, "direct", conversation._id, cursorByScope.get(String(conversation._id)));
+    return {
+      _id: conversation._id,
+      participant: peer ? { _id: peer._id, username: peer.username, avatar: peer.avatar } : null,
+      lastMessage: conversation.lastMessage,
+      lastMessageAt: conversation.lastMessageAt,
+      blocked: conversation.blockedBy.length > 0,
+      blockedByMe: conversation.blockedBy.some(id => sameId(id, user._id)),
+      unread: state.unread,
+      lastReadAt: state.lastReadAt,
+    };
+  }));
+
+  const last = page[page.length - 1];
+  return {
+    conversations,
+    pagination: { limit, before: last ? last.lastMessageAt : null, hasMore: rows.length > limit },
+  };
+};
+
+// Bloqueia o usuário: some das DMs nos dois sentidos. Retorna `{ error, status }` ou `{ blocked }`.
+const blockUser = async (user, targetId) => {
+  if (!mongoose.isValidObjectId(targetId) || !(await User.exists({ _id: targetId }))) {
+    return { error: "Usuário não encontrado.", status: 404 };
+  }
+  if (sameId(targetId, user._id)) return { error: "Você não pode bloquear a si mesmo.", status: 400 };
+
+  await User.updateOne({ _id: user._id }, { $addToSet: { blockedUsers: targetId } });
+  await DirectConversation.updateOne(
+    { key: conversationKey(user._id, targetId) },
+    { $addToSet: { blockedBy: user._id } }
+  );
+  return { blocked: true };
+};
+
+const unblockUser = async (user, targetId) => {
+  if (!mongoose.isValidObjectId(targetId)) return { error: "Usuário não encontrado.", status: 404 };
+
+  await User.updateOne({ _id: user._id }, { $pull: { blockedUsers: targetId } });
+  await DirectConversation.updateOne(
+    { key: conversationKey(user._id, targetId) },
+    { $pull: { blockedBy: user._id } }
+  );
+  return { blocked: false };
+};
+
+const listBlockedUsers = async (userId) => {
+  const user = await User.findById(userId).select("blockedUsers").populate("blockedUsers", "username avatar");
+  return user ? user.blockedUsers : [];
+};
+
+/**
+ * Denuncia uma mensagem da conversa: a conversa passa a ficar visível para ADM
+ * até as denúncias serem resolvidas. Uma denúncia por mensagem por usuário.
+ * Retorna `{ error }` ou `{ conversation }`.
+ */
+const reportMessage = async (conversation, message, reporterId, reason) => {
+  const text = typeof reason === "string" ? reason.trim() : "";
+  if (text.length > MAX_REASON_LENGTH) {
+    return { error: `O motivo deve ter no máximo ${MAX_REASON_LENGTH} caracteres.` };
+  }
+
+  const result = await DirectConversation.updateOne(
+    { _id: conversation._id, reports: { $not: { $elemMatch: { reporter: reporterId, message: message._id } } } },
+    { $push: { reports: { reporter: reporterId, message: message._id, reason: text } } }
+  );
+  if (!result.modifiedCount) return { error: "Você já denunciou esta mensagem." };
+
+  await DirectConversation.updateOne({ _id: conversation._id, reportedAt: null }, { $set: { reportedAt: new Date() } });
+  return { conversation: await DirectConversation.findById(conversation._id) };
+};
+
+// Conversas com denúncia pendente, das mais antigas para as mais novas (fila de ADM)
+const listReportedConversations = () =>
+  DirectConversation.find({ reportedAt: { $ne: null } })
+    .sort({ reportedAt: 1 })
+    .select("participants reports reportedAt lastMessageAt")
+    .populate("participants", "username avatar")
+    .populate("reports.reporter", "username");
+
+// Resolve as denúncias pendentes: a conversa volta a ficar oculta para ADM
+const resolveReports = (conversationId, adminId) =>
+  DirectConversation.findByIdAndUpdate(
+    conversationId,
+    {
+      $set: {
+        reportedAt: null,
+        "reports.$[pending].resolvedAt": new Date(),
+        "reports.$[pending].resolvedBy": adminId,
+      },
+    },
+    { new: true, arrayFilters: [{ "pending.resolvedAt": null }] }
+  ).catch(() => null);
+
+module.exports = {
+  openConversation,
+  sendDirectMessage,
+  publishDirectMessage,
+  listConversations,
+  blockUser,
+  unblockUser,
+  listBlockedUsers,
+  reportMessage,
+  listReportedConversations,
+  resolveReports,
+};
@@ -0,0 +1,284 @@
+const mongoose = require("mongoose");
+const Clan = require("../models/Clan");
+const Federation = require("../models/Federation");
+const User = require("../models/User");
+const Invite = require("../models/Invite");
+const logger = require("../utils/logger");
+const { clanRoom, federationRoom, joinScopeRoom, leaveScopeRoom } = require("../utils/socketRooms");
+const { inviteExpiry, findPendingInvite, respondToInvite } = require("./inviteService");
+
+/**
+ * Entrada e saída de clãs em federações. Federation.clans, Clan.federation e
+ * User.federation/federationRole de todos os membros do clã são gravados numa
+ * única transação: ou tudo muda, ou nada muda.
+ */
+
+// Executa `work(session)` numa transação (exige replica set, conferido em config/db.js). Retorna a mensagem de conflito ou null.
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  let conflict = null;
+  try {
+    await session.withTransaction(async () => {
+      conflict = await work(session);
+      if (conflict) {
+        throw new Error(conflict);
+      }
+    });
+    return null;
+  } catch (error) {
+    if (conflict) return conflict;
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Papel de cada membro do clã na federação: leaderMax/subLeader se estiverem na liderança, senão member
+const applyFederationRoles = async (federation, memberIds, session) => {
+  await User.updateMany(
+    { _id: { $in: memberIds } },
+    { $set: { federation: federation._id, federationRole: "member" } },
+    { session }
+  );
+  await User.updateMany(
+    { $and: [{ _id: { $in: memberIds } }, { _id: { $in: federation.subLeaders } }] },
+    { $set: { federationRole: "subLeader" } },
+    { session }
+  );
+  await User.updateMany(
+    { $and: [{ _id: { $in: memberIds } }, { _id: { $in: federation.leadersMax } }] },
+    { $set: { federationRole: "leaderMax" } },
+    { session }
+  );
+};
+
+// Adiciona o clã à federação. Retorna uma mensagem de erro ou null em caso de sucesso.
+const attachClan = async (federationId, clanId, { io } = {}) => {
+  const conflict = await runInTransaction(async (session) => {
+    const clan = await Clan.findOneAndUpdate(
+      { _id: clanId, federation: null },
+      { $set: { federation: federationId } },
+      { session, new: true }
+    );
+    if (!clan) return "Este clã já pertence a uma federação. Saia dela primeiro.";
+
+    const federation = await Federation.findByIdAndUpdate(
+      federationId,
+      { $addToSet: { clans: clanId } },
+      { session, new: true }
+    );
+    if (!federation) return "Federação não encontrada";
+
+    await applyFederationRoles(federation, clan.members, session);
+    return null;
+  });
+
+  if (!conflict) {
+    logger.info(`[FEDERATION] Clã ${clanId} entrou na federação ${federationId}.`);
+    // Sockets dos membros (todos na sala do clã) passam a receber o chat da federação
+    if (io) io.in(clanRoom(clanId)).socketsJoin(federationRoom(federationId));
+  }
+  return conflict;
+};
+
+// Remove o clã da federação e desfaz os vínculos dos membros. Retorna uma mensagem de erro ou null.
+const detachClan = async (federationId, clanId, { io } = {}) => {
+  const conflict = await runInTransaction(async (session) => {
+    const clan = await Clan.findOne({ _id: clanId, federation: federationId }).session(session);
+    if (!clan) return "Clã não pertence a esta federação.";
+
+    const federation = await Federation.findById(federationId).session(session);
+    const memberIds = clan.members.map(id => id.toString());
+    if (federation && federation.leadersMax.some(id => memberIds.includes(id.toString()))) {
+      return "A liderança máxima da federação pertence a este clã. Transfira a liderança antes de remover o clã.";
+    }
+
+    await Clan.updateOne({ _id: clanId }, { $set: { federation: null } }, { session });
+    if (federation) {
+      await Federation.updateOne(
+        { _id: federationId },
+        { $pull: { clans: clan._id, subLeaders: { $in: clan.members }, members: { $in: clan.members } } },
+        { session }
+      );
+    }
+    await User.updateMany(
+      { _id: { $in: clan.members }, federation: federationId },
+      { $set: { federation: null, federationRole: null } },
+      { session }
+    );
+    return null;
+  });
+
+  if (!conflict) {
+    logger.info(`[FEDERATION] Clã ${clanId} saiu da federação ${federationId}.`);
+    if (io) {
+      io.to(clanRoom(clanId)).emit("unsubscribed", { type: "federation", id: String(federationId) });
+      io.in(clanRoom(clanId)).socketsLeave(federationRoom(federationId));
+    }
+  }
+  return conflict;
+};
+
+/**
+ * Admissão de clãs (Invite com type "federation"):
+ * - kind "invite":  a federação convida o clã; a liderança do clã aceita ou recusa
+ * - kind "request": o clã pede para entrar; a liderança da federação aprova ou recusa
+ */
+
+// Cria o convite/solicitação. Retorna `{ error }` ou `{ invite }`.
+const createAdmission = async ({ federation, clan, kind, sender, message }) => {
+  if (clan.federation) {
+    return {
+      error: String(clan.federation) === String(federation._id)
+        ? "Clã já está nesta federação."
+        : "Este clã já pertence a uma federação. Saia dela primeiro.",
+    };
+  }
+
+  if (await findPendingInvite({ type: "federation", target: federation._id, clan: clan._id })) {
+    return { error: "Já existe um convite ou solicitação pendente entre este clã e esta federação." };
+  }
+
+  const invite = await Invite.create({
+    type: "federation",
+    kind,
+    target: federation._id,
+    clan: clan._id,
+    sender,
+    message,
+    expiresAt: inviteExpiry(),
+  });
+  return { invite };
+};
+
+// Aceita a admissão: vincula o clã e cancela as demais pendências do clã. Retorna erro ou null.
+const completeAdmission = async (invite, userId, { io } = {}) => {
+  const error = await attachClan(invite.target, invite.clan, { io });
+  if (error) return error;
+
+  await respondToInvite(invite, "accepted", userId);
+  await Invite.updateMany(
+    { type: "federation", clan: invite.clan, status: "pending" },
+    { $set: { status: "cancelled", respondedBy: userId, respondedAt: new Date() } }
+  );
+  return null;
+};
+
+/**
+ * Liderança da federação. Federation.leadersMax/subLeaders é a fonte da verdade;
+ * User.federation/federationRole de quem foi afetado é recalculado em seguida.
+ */
+
+const includesId = (list, id) => (list || []).some(item => String(item) === String(id));
+
+// Pertence à federação pelo clã ou por estar listado nela
+const isFederationMember = (federation, user) =>
+  includesId(federation.leadersMax, user._id) ||
+  includesId(federation.subLeaders, user._id) ||
+  includesId(federation.members, user._id) ||
+  (user.clan != null && includesId(federation.clans, user.clan));
+
+// Recalcula User.federation/federationRole a partir da federação (com `io`, ajusta a sala também)
+const syncFederationRole = async (federation, user, { io } = {}) => {
+  let role = null;
+  if (includesId(federation.leadersMax, user._id)) role = "leaderMax";
+  else if (includesId(federation.subLeaders, user._id)) role = "subLeader";
+  else if (isFederationMember(federation, user)) role = "member";
+
+  if (role) {
+    user.federation = federation._id;
+    user.federationRole = role;
+    joinScopeRoom(io, user._id, "federation", federation._id);
+  } else if (String(user.federation) === String(federation._id)) {
+    user.federation = null;
+    user.federationRole = null;
+    leaveScopeRoom(io, user._id, "federation", federation._id);
+  }
+  await user.save();
+};
+
+// Adiciona um líder máximo. Retorna uma mensagem de erro ou null.
+const addLeader = async (federation, user) => {
+  if (includesId(federation.leadersMax, user._id)) return "Usuário já é líder máximo da federação.";
+  if (!isFederationMember(federation, user)) return "Usuário não pertence à federação.";
+
+  federation.subLeaders = federation.subLeaders.filter(id => String(id) !== String(user._id));
+  federation.leadersMax.push(user._id);
+  await federation.save();
+  await syncFederationRole(federation, user);
+  return null;
+};
+
+// Remove um líder máximo (a federação nunca fica sem nenhum). Retorna uma mensagem de erro ou null.
+const removeLeader = async (federation, user, { io } = {}) => {
+  if (!includesId(federation.leadersMax, user._id)) return "Usuário não é líder máximo da federação.";
+  if (federation.leadersMax.length <= 1) return "A federação precisa de pelo menos um líder máximo.";
+
+  federation.leadersMax = federation.leadersMax.filter(id => String(id) !== String(user._id));
+  await federation.save();
+  await syncFederationRole(federation, user, { io });
+  return null;
+};
+
+// Promove um membro a sub-líder. Retorna uma mensagem de erro ou null.
+const promoteSubLeader = async (federation, user) => {
+  if (includesId(federation.leadersMax, user._id)) return "Usuário já é líder máximo da federação.";
+  if (includesId(federation.subLeaders, user._id)) return "Usuário já é sub-líder da federação.";
+  if (!isFederationMember(federation, user)) return "Usuário não pertence à federação.";
+
+  federation.subLeaders.push(user._id);
+  await federation.save();
+  await syncFederationRole(federation, user);
+  return null;
+};
+
+// Rebaixa um sub-líder a membro. Retorna uma mensagem de erro ou null.
+const demoteSubLeader = async (federation, user) => {
+  if (!includesId(federation.subLeaders, user._id)) return "Usuário não é sub-líder da federação.";
+
+  federation.subLeaders = federation.subLeaders.filter(id => String(id) !== String(user._id));
+  await federation.save();
+  await syncFederationRole(federation, user);
+  return null;
+};
+
+/**
+ * Transfere a liderança máxima: quem transfere sai de leadersMax e o novo líder
+ * entra no lugar. Se quem transfere não for líder (ADM), o novo líder passa a ser
+ * o único líder máximo. Retorna uma mensagem de erro ou null.
+ */
+const transferLeadership = async (federation, actor, newLeader, { io } = {}) => {
+  if (String(actor._id) === String(newLeader._id)) return "Você já é líder máximo da federação.";
+  if (includesId(federation.leadersMax, newLeader._id)) return "Usuário já é líder máximo da federação.";
+  if (!isFederationMember(federation, newLeader)) return "Usuário não pertence à federação.";
+
+  const previousLeaders = includesId(federation.leadersMax, actor._id)
+    ? [actor._id]
+    : federation.leadersMax.slice();
+
+  federation.leadersMax = federation.leadersMax
+    .filter(id => !includesId(previousLeaders, id))
+    .concat(newLeader._id);
+  federation.subLeaders = federation.subLeaders.filter(id => String(id) !== String(newLeader._id));
+  await federation.save();
+
+  await syncFederationRole(federation, newLeader, { io });
+  const demoted = await User.find({ _id: { $in: previousLeaders } });
+  for (const user of demoted) {
+    await syncFederationRole(federation, user, { io });
+  }
+  return null;
+};
+
+module.exports = {
+  attachClan,
+  detachClan,
+  createAdmission,
+  completeAdmission,
+  syncFederationRole,
+  addLeader,
+  removeLeader,
+  promoteSubLeader,
+  demoteSubLeader,
+  transferLeadership,
+};
@@ -0,0 +1,180 @@
+const mongoose = require("mongoose");
+const GlobalChannel = require("../models/GlobalChannel");
+const GlobalChatMessage = require("../models/GlobalChatMessage");
+const GlobalChatCooldown = require("../models/GlobalChatCooldown");
+const User = require("../models/User");
+const { claimAttachment, releaseAttachment } = require("./attachmentService");
+const { referenceFields } = require("./threadService");
+const { canModerate, presentMessage } = require("./messageService");
+const { globalChatRoom } = require("../utils/socketRooms");
+
+/**
+ * Chat dos canais globais de texto: espaço público aberto a todo usuário
+ * registrado. Edição, exclusão, reações, leitura, histórico e anexos usam os
+ * serviços comuns dos chats (kind "global"); aqui ficam envio, modo lento e
+ * moderadores.
+ */
+
+const MAX_TEXT_LENGTH = 1000;
+const MAX_SLOW_MODE_SECONDS = 3600;
+// Tipos aceitos com fileUrl de arquivo já hospedado (notas de voz só pelo upload)
+const URL_TYPES = ["text", "image", "file", "audio"];
+
+const sameId = (a, b) => a != null && b != null && a.toString() === b.toString();
+
+// Canal global de texto pelo ID; sem ID, o canal padrão (o de texto mais antigo)
+const loadGlobalChatChannel = (channelId) => {
+  if (!channelId) return GlobalChannel.findOne({ type: "text" }).sort({ createdAt: 1 });
+  return GlobalChannel.findOne({ _id: channelId, type: "text" }).catch(() => null);
+};
+
+/**
+ * Reserva o envio no modo lento: lastSentAt só avança se o último envio já saiu do
+ * intervalo, num único update (envios em paralelo não passam juntos). Moderadores
+ * e modo lento desligado não reservam nada.
+ * Retorna `{ wait }` (segundos a esperar) ou `{ claim }` para releaseSlowMode.
+ */
+const claimSlowMode = async (channel, user) => {
+  if (!channel.slowModeSeconds || canModerate("global", user, channel)) return { claim: null };
+
+  const now = new Date();
+  const filter = { channel: channel._id, user: user._id };
+  try {
+    const previous = await GlobalChatCooldown.findOneAndUpdate(
+      { ...filter, lastSentAt: { $lte: new Date(now.getTime() - channel.slowModeSeconds * 1000) } },
+      { $set: { lastSentAt: now } },
+      { upsert: true }
+    );
+    return { claim: { filter, sentAt: now, previous: previous ? previous.lastSentAt : null } };
+  } catch (error) {
+    // Envio recente: o upsert esbarra no índice único de canal + usuário
+    if (error.code !== 11000) throw error;
+  }
+
+  const current = await GlobalChatCooldown.findOne(filter).select("lastSentAt");
+  const elapsedMs = current ? now.getTime() - current.lastSentAt.getTime() : 0;
+  return { wait: Math.max(Math.ceil(channel.slowModeSeconds - elapsedMs / 1000), 1) };
+};
+
+// Devolve a reserva do modo lento quando o envio falha depois dela (se ninguém a reservou de novo)
+const releaseSlowMode = async (claim) => {
+  if (!claim) return;
+  const reserved = { ...claim.filter, lastSentAt: claim.sentAt };
+  if (claim.previous) await GlobalChatCooldown.updateOne(reserved, { $set: { lastSentAt: claim.previous } });
+  else await GlobalChatCooldown.deleteOne(reserved);
+};
+
+/**
+ * Grava a mensagem (texto e/ou anexo enviado por POST /api/global-chat/:id/attachments
+ * ou /voice-notes, ou fileUrl + type de um arquivo já hospedado; replyToId responde
+ * em fio, quoteId cita) respeitando o modo lento. O ban é conferido por quem chama.
+ * Retorna `{ error, status?, retryAfter? }` ou `{ message }` (sender populado).
+ */
+const sendGlobalMessage = async (channel, sender, { message: content, type, fileUrl, attachmentId, replyToId, quoteId } = {}) => {
+  const text = typeof content === "string" ? content.trim() : "";
+  const messageType = type || "text";
+  const url = typeof fileUrl === "string" && fileUrl.trim() ? fileUrl.trim() : null;
+  if (!URL_TYPES.includes(messageType)) return { error: "Tipo de mensagem inválido." };
+  if (messageType !== "text" && !url && !attachmentId) {
+    return { error: "Informe fileUrl ou attachmentId para mensagens de imagem, arquivo ou áudio." };
+  }
+  if (messageType === "text" && !text && !attachmentId) return { error: "A mensagem não pode ser vazia." };
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { error: `A mensagem deve ter no máximo ${MAX_TEXT_LENGTH} caracteres.` };
+  }
+
+  const reference = await referenceFields("global", channel._id, { replyToId, quoteId });
+  if (reference.error) return { error: reference.error };
+
+  const { wait, claim } = await claimSlowMode(channel, sender);
+  if (wait) {
+    return { error: `Modo lento ativo: aguarde ${wait}s para enviar outra mensagem.`, status: 429, retryAfter: wait };
+  }
+
+  const message = new GlobalChatMessage({
+    channel: channel._id,
+    sender: sender._id,
+    message: text,
+    type: messageType,
+    fileUrl: url,
+    ...reference.fields,
+  });
+  // Anexo enviado pelo upload: tipo e URL vêm dele
+  if (attachmentId) {
+    const { error, fields } = await claimAttachment("global", channel._id, sender._id, attachmentId, message._id);
+    if (error) {
+      await releaseSlowMode(claim);
+      return { error };
+    }
+    message.set(fields);
+  }
+
+  try {
+    await message.save();
+  } catch (error) {
+    if (attachmentId) await releaseAttachment(attachmentId);
+    await releaseSlowMode(claim);
+    throw error;
+  }
+
+  await message.populate("sender", "username avatar");
+  return { message };
+};
+
+// Entrega a mensagem a quem está na sala do canal (join_global_chat). Respostas em fio vão só por thread_reply.
+const publishGlobalMessage = (io, message) => {
+  if (io && !message.threadRoot) io.to(globalChatRoom(message.channel)).emit("global_chat_message", { chatType: "global", ...presentMessage(message) });
+};
+
+// Configurações do chat visíveis aos clientes
+const presentChatSettings = (channel, user) => ({
+  _id: channel._id,
+  name: channel.name,
+  description: channel.description,
+  slowModeSeconds: channel.slowModeSeconds,
+  moderators: channel.moderators,
+  canModerate: canModerate("global", user, channel),
+});
+
+// Ajusta o modo lento (0 desliga). Retorna `{ error }` ou `{ channel }`.
+const setSlowMode = async (channel, seconds) => {
+  const value = seconds === "" || seconds == null ? NaN : Number(seconds);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_SLOW_MODE_SECONDS) {
+    return { error: `Modo lento deve ser um número inteiro de segundos entre 0 e ${MAX_SLOW_MODE_SECONDS}.` };
+  }
+  channel.slowModeSeconds = value;
+  await channel.save();
+  return { channel };
+};
+
+// Adiciona um moderador ao chat. Retorna `{ error, status }` ou `{ channel }`.
+const addModerator = async (channel, userId) => {
+  if (!mongoose.isValidObjectId(userId) || !(await User.exists({ _id: userId }))) {
+    return { error: "Usuário não encontrado.", status: 404 };
+  }
+  if (channel.moderators.some(id => sameId(id, userId))) {
+    return { error: "Usuário já é moderador deste chat.", status: 400 };
+  }
+  channel.moderators.push(userId);
+  await channel.save();
+  return { channel };
+};
+
+const removeModerator = async (channel, userId) => {
+  if (!channel.moderators.some(id => sameId(id, userId))) {
+    return { error: "Usuário não é moderador deste chat.", status: 404 };
+  }
+  channel.moderators = channel.moderators.filter(id => !sameId(id, userId));
+  await channel.save();
+  return { channel };
+};
+
+module.exports = {
+  loadGlobalChatChannel,
+  sendGlobalMessage,
+  publishGlobalMessage,
+  presentChatSettings,
+  setSlowMode,
+  addModerator,
+  removeModerator,
+};
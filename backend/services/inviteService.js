@@ -0,0 +1,42 @@
+const Invite = require("../models/Invite");
+
+const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS) || 7;
+
+const inviteExpiry = () =>
+  new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Marca como expirados os convites/solicitações pendentes vencidos
+const expirePendingInvites = async (filter = {}) => {
+  await Invite.updateMany(
+    { ...filter, status: "pending", expiresAt: { $lte: new Date() } },
+    { $set: { status: "expired" } }
+  );
+};
+
+// Busca um convite/solicitação pendente e válido (expira na hora se já venceu)
+const findPendingInvite = async (filter) => {
+  const invite = await Invite.findOne({ ...filter, status: "pending" });
+  if (!invite) return null;
+  if (invite.expiresAt <= new Date()) {
+    invite.status = "expired";
+    await invite.save();
+    return null;
+  }
+  return invite;
+};
+
+// Registra a resposta (accepted, rejected, cancelled) de um convite/solicitação
+const respondToInvite = async (invite, status, userId) => {
+  invite.status = status;
+  invite.respondedBy = userId;
+  invite.respondedAt = new Date();
+  await invite.save();
+  return invite;
+};
+
+module.exports = {
+  inviteExpiry,
+  expirePendingInvites,
+  findPendingInvite,
+  respondToInvite,
+};
@@ -0,0 +1,102 @@
+const Clan = require("../models/Clan");
+const Federation = require("../models/Federation");
+const User = require("../models/User");
+const policy = require("./policyService");
+
+/**
+ * Consultas de pertencimento a clãs e federações, sobre o schema real
+ * (Clan.leader/subLeaders/members e Federation.leadersMax/subLeaders/members/clans).
+ * Os papéis vêm de policyService; quem pode executar cada ação continua sendo
+ * decidido por can() (ADM, bans e cargos customizados inclusos), não por estes helpers.
+ *
+ * Cada requisição (ou evento de socket) usa a sua própria instância, que guarda
+ * os documentos já carregados: middleware, controller e helpers consultam o mesmo
+ * clã sem repetir a query. Em rotas, use membershipOf(req).
+ */
+
+const FEDERATION_LEADERSHIP = ["leaderMax", "subLeader"];
+
+const uniqueIds = (ids) => [...new Set(ids.filter(Boolean).map(id => id.toString()))];
+
+const createMembership = () => {
+  const cache = new Map(); // "Model:id" -> Promise<documento | null>
+
+  const load = (Model, id) => {
+    if (!id) return Promise.resolve(null);
+    const key = `${Model.modelName}:${id}`;
+    if (!cache.has(key)) {
+      // ID malformado conta como inexistente
+      cache.set(key, Model.findById(id).catch(() => null));
+    }
+    return cache.get(key);
+  };
+
+  const clan = (clanId) => load(Clan, clanId);
+  const federation = (federationId) => load(Federation, federationId);
+  const user = (userId) => load(User, userId);
+
+  // Papel no clã ("leader", "subLeader", "member" ou null)
+  const clanRoleOf = async (userId, clanId) => policy.clanRoleOf(await clan(clanId), userId);
+
+  const isClanMember = async (userId, clanId) => (await clanRoleOf(userId, clanId)) !== null;
+
+  // Papel na federação ("leaderMax", "subLeader", "member" ou null), incluindo membros via clã
+  const federationRoleOf = async (userId, federationId) => {
+    const [fed, member] = await Promise.all([federation(federationId), user(userId)]);
+    return policy.federationRoleOf(fed, member);
+  };
+
+  const isFederationMember = async (userId, federationId) => (await federationRoleOf(userId, federationId)) !== null;
+
+  // Líder máximo ou sub-líder da federação
+  const isFederationLeader = async (userId, federationId) =>
+    FEDERATION_LEADERSHIP.includes(await federationRoleOf(userId, federationId));
+
+  // IDs de todos os membros do clã (líder, sub-líderes e membros)
+  const clanMembersOf = async (clanId) => {
+    const doc = await clan(clanId);
+    if (!doc) return [];
+    return uniqueIds([doc.leader, ...doc.subLeaders, ...doc.members]);
+  };
+
+  // IDs de todos os membros da federação: liderança, membros avulsos e membros dos clãs
+  const federationMembersOf = async (federationId) => {
+    const doc = await federation(federationId);
+    if (!doc) return [];
+    const clans = await Promise.all(doc.clans.map(clanMembersOf));
+    return uniqueIds([...doc.leadersMax, ...doc.subLeaders, ...doc.members, ...clans.flat()]);
+  };
+
+  // Destinatários de algo endereçado a um usuário, clã ou federação (ex.: Notification.targetType/targetId)
+  const recipientsOf = async (targetType, targetId) => {
+    if (targetType === "user") return uniqueIds([targetId]);
+    if (targetType === "clan") return clanMembersOf(targetId);
+    if (targetType === "federation") return federationMembersOf(targetId);
+    return [];
+  };
+
+  return {
+    clan,
+    federation,
+    user,
+    clanRoleOf,
+    isClanMember,
+    federationRoleOf,
+    isFederationMember,
+    isFederationLeader,
+    clanMembersOf,
+    federationMembersOf,
+    recipientsOf,
+  };
+};
+
+// Instância da requisição (criada no primeiro uso)
+const membershipOf = (req) => {
+  if (!req.membership) req.membership = createMembership();
+  return req.membership;
+};
+
+module.exports = {
+  createMembership,
+  membershipOf,
+};
@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+const { MESSAGE_KINDS, presentMessage } = require("./messageService");
+
+/**
+ * Leitura do histórico dos chats (canal, clã, federação, conversas privadas e
+ * chat global).
+ *
+ * Paginação por cursor em (timestamp, _id), sem skip: `before` traz a página
+ * anterior ao cursor e `after` a seguinte; sem nenhum dos dois vêm as mais
+ * recentes. As páginas saem sempre em ordem cronológica (mais antiga primeiro).
+ *
+ * Sincronização: `changesSince` devolve tudo que foi criado, editado, apagado
+ * ou reagido depois de um ponto, em ordem de (updatedAt, _id).
+ */
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+const MAX_SYNC_SIZE = 200;
+// Menor _id possível: cursor que inclui tudo a partir do instante
+const NULL_ID = "0".repeat(24);
+
+const pageSize = (value, fallback, max) =>
+  Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+
+// Cursor opaco (base64url de "<ms>_<id>") a partir de uma data e um _id
+const encodeCursor = (date, id) =>
+  Buffer.from(`${new Date(date).getTime()}_${id}`).toString("base64url");
+
+// Retorna { at, id } ou null se o cursor for inválido
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== "string" || !cursor) return null;
+  const [ms, id] = Buffer.from(cursor, "base64url").toString().split("_");
+  const at = new Date(Number(ms));
+  if (!ms || Number.isNaN(at.getTime()) || !mongoose.isValidObjectId(id)) return null;
+  return { at, id: new mongoose.Types.ObjectId(id) };
+};
+
+// Mensagens estritamente antes (direction -1) ou depois (1) de (at, id) no campo informado
+const keysetFilter = (field, { at, id }, direction) => {
+  const op = direction < 0 ? "$lt" : "$gt";
+  return { $or: [{ [field]: { [op]: at } }, { [field]: at, _id: { [op]: id } }] };
+};
+
+/**
+ * Página do histórico. query: { before, after, limit }. Sem `threadRoot` vem o
+ * chat principal; com ele, as respostas daquele fio.
+ * Retorna `{ error }` (cursor inválido) ou `{ messages, pagination }`, onde
+ * pagination traz os cursores das pontas e se há mais mensagens em cada direção
+ * (`null` quando a direção não foi consultada).
+ */
+const pageMessages = async (kind, scopeId, query = {}, viewerId, { threadRoot = null } = {}) => {
+  const { Model, scopeField } = MESSAGE_KINDS[kind];
+  const limit = pageSize(query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const filter = { [scopeField]: scopeId, threadRoot };
+
+  let direction = -1;
+  if (query.before || query.after) {
+    const cursor = decodeCursor(query.before || query.after);
+    if (!cursor) return { error: "Cursor de paginação inválido." };
+    direction = query.before ? -1 : 1;
+    Object.assign(filter, keysetFilter("timestamp", cursor, direction));
+  }
+
+  const rows = await Model.find(filter)
+    .sort({ timestamp: direction, _id: direction })
+    .limit(limit + 1)
+    .populate("sender", "username avatar");
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (direction < 0) page.reverse();
+
+  const first = page[0];
+  const last = page[page.length - 1];
+  return {
+    messages: page.map(message => presentMessage(message, viewerId)),
+    pagination: {
+      limit,
+      before: first ? encodeCursor(first.timestamp, first._id) : null,
+      after: last ? encodeCursor(last.timestamp, last._id) : null,
+      hasMoreBefore: direction < 0 ? hasMore : null,
+      hasMoreAfter: direction > 0 ? hasMore : null,
+    },
+  };
+};
+
+/**
+ * Alterações desde `since` (cursor devolvido pela sincronização anterior ou
+ * data ISO na primeira vez). Mensagens apagadas vêm como marcador (deleted: true)
+ * e respostas em fio vêm junto, com `threadRoot`.
+ * Retorna `{ error }` ou `{ messages, sync: { cursor, hasMore } }`; com hasMore,
+ * chame de novo com o cursor recebido.
+ */
+const changesSince = async (kind, scopeId, query = {}, viewerId) => {
+  const { Model, scopeField } = MESSAGE_KINDS[kind];
+  const limit = pageSize(query.limit, MAX_SYNC_SIZE, MAX_SYNC_SIZE);
+
+  let point = decodeCursor(query.since);
+  if (!point) {
+    const at = new Date(query.since);
+    if (!query.since || Number.isNaN(at.getTime())) {
+      return { error: "Parâmetro since inválido (use o cursor da última sincronização ou uma data ISO)." };
+    }
+    // Data pura: inclui tudo que mudou a partir dela, inclusive no mesmo milissegundo
+    point = { at: new Date(at.getTime() - 1), id: null };
+  }
+
+  const filter = { [scopeField]: scopeId };
+  Object.assign(filter, point.id ? keysetFilter("updatedAt", point, 1) : { updatedAt: { $gt: point.at } });
+
+  const rows = await Model.find(filter)
+    .sort({ updatedAt: 1, _id: 1 })
+    .limit(limit + 1)
+    .populate("sender", "username avatar");
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    messages: page.map(message => presentMessage(message, viewerId)),
+    sync: {
+      // Sem alterações, o ponto de partida continua valendo como cursor
+      cursor: last ? encodeCursor(last.updatedAt, last._id) : encodeCursor(point.at, point.id || NULL_ID),
+      hasMore,
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  pageMessages,
+  changesSince,
+};
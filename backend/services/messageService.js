@@ -0,0 +1,329 @@
+const Channel = require("../models/Channel");
+const Message = require("../models/Message");
+const ClanChatMessage = require("../models/ClanChatMessage");
+const FederationChatMessage = require("../models/FederationChatMessage");
+const DirectConversation = require("../models/DirectConversation");
+const DirectMessage = require("../models/DirectMessage");
+const GlobalChannel = require("../models/GlobalChannel");
+const GlobalChatMessage = require("../models/GlobalChatMessage");
+const { can } = require("./policyService");
+const { removeAttachment } = require("./attachmentService");
+const { checkBan } = require("./banService");
+const { userRoom, channelRoom, clanRoom, federationRoom, globalChatRoom } = require("../utils/socketRooms");
+
+/**
+ * Operações sobre mensagens dos chats (canal, clã, federação, conversas
+ * privadas e chat global): edição, exclusão e reações. Os modelos diferem só no campo do
+ * escopo e no campo do texto; o resto é comum.
+ */
+
+const EDIT_WINDOW_MINUTES = Number(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+const MAX_TEXT_LENGTH = 1000;
+const MAX_EMOJI_LENGTH = 32;
+const EMOJI_PATTERN = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u;
+// Emoji_Component sozinho aceitaria dígitos e "#": exige ao menos um pictograma, bandeira ou keycap
+const EMOJI_REQUIRED = /[\p{Extended_Pictographic}\p{Regional_Indicator}\u20e3]/u;
+
+const sameId = (a, b) => a != null && b != null && a.toString() === b.toString();
+
+// Chats com ban por escopo (Ban.targetType igual ao kind). No global o ban barra só o que grava,
+// mas loadMessageForUser serve a reações e leitura, então vale para todos.
+const BANNED_KINDS = ["channel", "clan", "federation", "global"];
+
+// `rooms` diz para onde vão os eventos de uma mensagem: a sala do escopo ou, nas conversas privadas, os dois usuários
+const MESSAGE_KINDS = {
+  channel: { Model: Message, scopeField: "channel", textField: "content", rooms: (message) => channelRoom(message.channel) },
+  clan: { Model: ClanChatMessage, scopeField: "clan", textField: "message", rooms: (message) => clanRoom(message.clan) },
+  federation: {
+    Model: FederationChatMessage,
+    scopeField: "federation",
+    textField: "message",
+    rooms: (message) => federationRoom(message.federation),
+  },
+  direct: {
+    Model: DirectMessage,
+    scopeField: "conversation",
+    textField: "message",
+    rooms: (message) => message.participants.map(userRoom),
+  },
+  global: {
+    Model: GlobalChatMessage,
+    scopeField: "channel",
+    textField: "message",
+    rooms: (message) => globalChatRoom(message.channel),
+  },
+};
+
+const isParticipant = (conversation, userId) => conversation.participants.some(id => sameId(id, userId));
+
+const PREVIEW_LENGTH = 100;
+const PREVIEW_LABELS = { image: "Imagem", file: "Arquivo", audio: "Áudio", voice: "Nota de voz" };
+
+// Texto curto da mensagem para listas de conversas
+const previewOf = (kind, message) => {
+  if (message.deleted) return "";
+  const text = message[MESSAGE_KINDS[kind].textField];
+  return text ? text.slice(0, PREVIEW_LENGTH) : PREVIEW_LABELS[message.type] || "";
+};
+
+// Conversa privada: mantém o resumo da última mensagem igual à mensagem editada ou apagada
+const syncConversationPreview = async (kind, message) => {
+  if (kind !== "direct") return;
+  await DirectConversation.updateOne(
+    { _id: message.conversation, "lastMessage.message": message._id },
+    { $set: { "lastMessage.preview": previewOf(kind, message), "lastMessage.deleted": message.deleted } }
+  );
+};
+
+// Respostas e citações guardam um resumo da original: acompanha a edição ou exclusão dela
+const syncQuotedReferences = async (kind, message) => {
+  await MESSAGE_KINDS[kind].Model.updateMany(
+    { "quoted.message": message._id },
+    { $set: { "quoted.preview": previewOf(kind, message), "quoted.deleted": message.deleted } }
+  );
+};
+
+/**
+ * Quem participa (lê, edita as próprias mensagens, reage), quem envia (mensagens
+ * e anexos) e quem modera (apaga mensagens de outros) em cada chat. `interacts`
+ * (reagir e marcar como lido) vale `participates` quando omitido. `user` é o
+ * documento do usuário.
+ */
+const CHAT_RULES = {
+  channel: {
+    participates: (user, channel) =>
+      user.role === "ADM" || channel.members.some(id => sameId(id, user._id)),
+    sends: (user, channel) => channel.members.some(id => sameId(id, user._id)),
+    // Dono, ADM ou cargo do canal com manageMessages
+    moderates: (user, channel) =>
+      can(user, "channel.moderateChat", { ownerId: channel.owner }) ||
+      channel.memberRoles.some(mr => sameId(mr.user, user._id) && mr.permissions && mr.permissions.manageMessages),
+  },
+  clan: {
+    participates: (user, clan) => can(user, "clan.chat", { clan }),
+    sends: (user, clan) => can(user, "clan.chat", { clan }),
+    moderates: (user, clan) => can(user, "clan.moderateChat", { clan }),
+  },
+  federation: {
+    participates: (user, federation) => can(user, "federation.chat", { federation }),
+    // Só a liderança fala no chat da federação; os demais membros leem
+    sends: (user, federation) => can(user, "federation.sendChat", { federation }),
+    moderates: (user, federation) => can(user, "federation.moderateChat", { federation }),
+  },
+  direct: {
+    // Só os dois participantes; ADM entra apenas em conversas com denúncia pendente
+    participates: (user, conversation) =>
+      isParticipant(conversation, user._id) || (Boolean(conversation.reportedAt) && can(user, "dm.review")),
+    // ADM revisando a denúncia não reage nem marca como lido
+    interacts: (user, conversation) => isParticipant(conversation, user._id),
+    sends: (user, conversation) => isParticipant(conversation, user._id) && conversation.blockedBy.length === 0,
+    moderates: (user, conversation) => Boolean(conversation.reportedAt) && can(user, "dm.review"),
+  },
+  global: {
+    // Espaço público: todo usuário registrado lê e envia (bans e modo lento são conferidos no envio)
+    participates: () => true,
+    sends: () => true,
+    moderates: (user, channel) => can(user, "globalChat.moderate", { moderators: channel.moderators }),
+  },
+};
+
+// Canal, clã, federação, conversa privada ou canal global dono do chat (`membership` reaproveita os documentos da requisição)
+const loadChatTarget = (kind, scopeId, membership) => {
+  if (kind === "channel") return Channel.findById(scopeId).catch(() => null);
+  if (kind === "direct") return DirectConversation.findById(scopeId).catch(() => null);
+  // Só canais globais de texto têm chat
+  if (kind === "global") return GlobalChannel.findOne({ _id: scopeId, type: "text" }).catch(() => null);
+  return membership[kind](scopeId);
+};
+
+const canParticipate = (kind, user, target) => CHAT_RULES[kind].participates(user, target);
+const canSend = (kind, user, target) => CHAT_RULES[kind].sends(user, target);
+const canModerate = (kind, user, target) => CHAT_RULES[kind].moderates(user, target);
+const canInteract = (kind, user, target) => (CHAT_RULES[kind].interacts || CHAT_RULES[kind].participates)(user, target);
+
+// Mensagem por ID e o chat dela, conferindo se o usuário pode reagir e marcar como lido, ban incluso (sockets).
+// Retorna `{ error }` ou `{ target, message }`.
+const loadMessageForUser = async (kind, messageId, user, membership) => {
+  const config = Object.hasOwn(MESSAGE_KINDS, kind) ? MESSAGE_KINDS[kind] : null;
+  if (!config) return { error: "Tipo de chat inválido." };
+
+  const message = await config.Model.findById(messageId).catch(() => null);
+  if (!message) return { error: "Mensagem não encontrada." };
+
+  const target = await loadChatTarget(kind, message[config.scopeField], membership);
+  if (!target || !canInteract(kind, user, target)) return { error: "Você não participa deste chat." };
+  // Membro da federação pelo clã continua "participando" mesmo banido: o ban é conferido à parte
+  if (BANNED_KINDS.includes(kind)) {
+    const ban = await checkBan(user._id, kind, target._id);
+    if (ban) return { error: ban.msg };
+  }
+  return { target, message };
+};
+
+// Mensagem do escopo informado (ID malformado conta como inexistente)
+const findScopedMessage = (kind, scopeId, messageId) => {
+  const { Model, scopeField } = MESSAGE_KINDS[kind];
+  return Model.findOne({ _id: messageId, [scopeField]: scopeId }).catch(() => null);
+};
+
+// Edita o texto dentro da janela de edição (a autoria é conferida por quem chama). Retorna erro ou null.
+const editMessage = async (kind, message, text) => {
+  const { textField } = MESSAGE_KINDS[kind];
+
+  if (message.deleted) return "Mensagem apagada não pode ser editada.";
+  if (message.type !== "text") return "Apenas mensagens de texto podem ser editadas.";
+  if (Date.now() - message.timestamp.getTime() > EDIT_WINDOW_MINUTES * 60 * 1000) {
+    return `O prazo para editar a mensagem (${EDIT_WINDOW_MINUTES} minutos) expirou.`;
+  }
+
+  const content = typeof text === "string" ? text.trim() : "";
+  if (!content) return "A mensagem não pode ser vazia.";
+  if (content.length > MAX_TEXT_LENGTH) return `A mensagem deve ter no máximo ${MAX_TEXT_LENGTH} caracteres.`;
+  if (content === message[textField]) return "O texto não foi alterado.";
+
+  message.editHistory.push({ [textField]: message[textField], editedAt: new Date() });
+  message[textField] = content;
+  message.edited = true;
+  message.editedAt = new Date();
+  await message.save();
+  await syncConversationPreview(kind, message);
+  await syncQuotedReferences(kind, message);
+  return null;
+};
+
+// Exclusão lógica: apaga o conteúdo (histórico de edições, reações e anexo inclusos) e mantém o marcador
+const deleteMessage = async (kind, message, userId) => {
+  const { textField } = MESSAGE_KINDS[kind];
+  const attachmentId = message.attachment;
+
+  message[textField] = "";
+  message.fileUrl = null;
+  message.attachment = null;
+  message.editHistory = [];
+  message.reactions = [];
+  message.deleted = true;
+  message.deletedAt = new Date();
+  message.deletedBy = userId;
+  await message.save();
+  await syncConversationPreview(kind, message);
+  await syncQuotedReferences(kind, message);
+
+  if (attachmentId) await removeAttachment(attachmentId);
+};
+
+const normalizeEmoji = (emoji) => {
+  const value = typeof emoji === "string" ? emoji.trim() : "";
+  if (!value || value.length > MAX_EMOJI_LENGTH || !EMOJI_PATTERN.test(value) || !EMOJI_REQUIRED.test(value)) return null;
+  return value;
+};
+
+/**
+ * Adiciona a reação do usuário (uma por emoji por usuário). A condição vai no
+ * próprio update, então cliques repetidos em paralelo não duplicam a reação.
+ * Retorna `{ error }` ou `{ message, emoji }` com a mensagem atualizada.
+ */
+const addReaction = async (kind, message, userId, rawEmoji) => {
+  const emoji = normalizeEmoji(rawEmoji);
+  if (!emoji) return { error: "Emoji inválido." };
+  if (message.deleted) return { error: "Não é possível reagir a uma mensagem apagada." };
+
+  const updated = await MESSAGE_KINDS[kind].Model.findOneAndUpdate(
+    { _id: message._id, deleted: false, reactions: { $not: { $elemMatch: { user: userId, emoji } } } },
+    { $push: { reactions: { user: userId, emoji } } },
+    { new: true }
+  );
+  if (!updated) return { error: "Você já reagiu com este emoji." };
+  return { message: updated, emoji };
+};
+
+// Remove a reação do usuário com o emoji. Retorna `{ error }` ou `{ message, emoji }`.
+const removeReaction = async (kind, message, userId, rawEmoji) => {
+  const emoji = normalizeEmoji(rawEmoji);
+  if (!emoji) return { error: "Emoji inválido." };
+
+  const updated = await MESSAGE_KINDS[kind].Model.findOneAndUpdate(
+    { _id: message._id, reactions: { $elemMatch: { user: userId, emoji } } },
+    { $pull: { reactions: { user: userId, emoji } } },
+    { new: true }
+  );
+  if (!updated) return { error: "Reação não encontrada." };
+  return { message: updated, emoji };
+};
+
+const REACTION_ACTIONS = {
+  added: addReaction,
+  removed: removeReaction,
+};
+
+// Aplica a ação ("added" ou "removed") usada pelas rotas e pelos eventos de socket
+const reactToMessage = (kind, action, message, userId, emoji) => {
+  const apply = REACTION_ACTIONS[action];
+  if (!apply) return { error: "Ação de reação inválida." };
+  return apply(kind, message, userId, emoji);
+};
+
+/**
+ * Agrupa as reações por emoji, na ordem da primeira reação: [{ emoji, count, reacted }].
+ * `reacted` só vem quando há um usuário de referência; eventos de sala vão para
+ * todos e trazem só as contagens.
+ */
+const summarizeReactions = (reactions = [], viewerId) => {
+  const groups = new Map();
+  for (const { user, emoji } of reactions) {
+    if (!groups.has(emoji)) {
+      groups.set(emoji, viewerId ? { emoji, count: 0, reacted: false } : { emoji, count: 0 });
+    }
+    const group = groups.get(emoji);
+    group.count += 1;
+    if (viewerId && sameId(user, viewerId)) group.reacted = true;
+  }
+  return [...groups.values()];
+};
+
+// Mensagem no formato enviado aos clientes (reações agregadas para quem está vendo)
+const presentMessage = (message, viewerId) => {
+  const data = message.toObject ? message.toObject() : message;
+  return { ...data, reactions: summarizeReactions(data.reactions, viewerId) };
+};
+
+/**
+ * Avisa a sala do escopo:
+ * - message_updated:  mensagem completa
+ * - message_deleted:  marcador da mensagem apagada
+ * - message_reaction: reação adicionada/removida e as contagens atualizadas
+ */
+const broadcastMessageChange = (io, kind, event, message, extra = {}) => {
+  if (!io) return;
+  const { scopeField, rooms } = MESSAGE_KINDS[kind];
+  const scopeId = message[scopeField];
+
+  let payload;
+  if (event === "message_deleted") {
+    payload = { _id: message._id, [scopeField]: scopeId, deletedAt: message.deletedAt, deletedBy: message.deletedBy };
+  } else if (event === "message_reaction") {
+    payload = { _id: message._id, [scopeField]: scopeId, ...extra, reactions: summarizeReactions(message.reactions) };
+  } else {
+    payload = presentMessage(message);
+  }
+  io.to(rooms(message)).emit(event, { chatType: kind, ...payload });
+};
+
+module.exports = {
+  MESSAGE_KINDS,
+  isParticipant,
+  previewOf,
+  EDIT_WINDOW_MINUTES,
+  loadChatTarget,
+  canParticipate,
+  canSend,
+  canModerate,
+  canInteract,
+  loadMessageForUser,
+  findScopedMessage,
+  editMessage,
+  deleteMessage,
+  reactToMessage,
+  summarizeReactions,
+  presentMessage,
+  broadcastMessageChange,
+};
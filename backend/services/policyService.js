@@ -0,0 +1,187 @@
+/**
+ * Política central de permissões.
+ *
+ * Cada ação declara quem pode executá-la:
+ * - globalRoles:     papéis globais (User.role) autorizados
+ * - clanRoles:       papéis no clã do contexto ("leader", "subLeader", "member")
+ * - clanPermission:  permissão de cargo customizado do clã (Clan.customRoles)
+ * - federationRoles: papéis na federação do contexto ("leaderMax", "subLeader", "member")
+ * - self:            o próprio usuário alvo (context.targetUserId)
+ * - owner:           o dono do recurso (context.ownerId)
+ * - moderator:       moderadores do recurso (context.moderators)
+ *
+ * ADM tem acesso total; uma ação sem regras é exclusiva de ADM.
+ * Usado pelas rotas via middleware/authorize.js e pelos handlers Socket.IO via can().
+ */
+
+const LEADERSHIP = ["leader", "subLeader"];
+
+// Permissões que um cargo customizado de clã pode conceder (Clan.customRoles.permissions)
+const CLAN_PERMISSIONS = ["manageMembers", "manageChannels", "manageRoles", "kickMembers", "muteMembers"];
+const FEDERATION_LEADERSHIP = ["leaderMax", "subLeader"];
+
+const POLICIES = {
+  // Administração
+  "admin.users": {},
+  "admin.logs": {},
+  "admin.dashboard": {},
+  "admin.broadcast": {},
+
+  // Usuários
+  "user.update": { self: true },
+  "user.viewStats": { self: true },
+
+  // Clã
+  "clan.viewMembers": { clanRoles: ["leader", "subLeader", "member"] },
+  "clan.update": { clanRoles: LEADERSHIP },
+  "clan.banner": { clanRoles: LEADERSHIP },
+  "clan.promote": { clanRoles: LEADERSHIP, clanPermission: "manageMembers" },
+  "clan.demote": { clanRoles: LEADERSHIP, clanPermission: "manageMembers" },
+  "clan.kick": { clanRoles: LEADERSHIP, clanPermission: "kickMembers" },
+  "clan.transfer": { clanRoles: ["leader"] },
+  "clan.diplomacy": { clanRoles: LEADERSHIP },
+  "clan.chat": { clanRoles: ["leader", "subLeader", "member"] },
+  "clan.moderateChat": { clanRoles: LEADERSHIP, clanPermission: "muteMembers" },
+  "clan.viewDiplomacy": { clanRoles: ["leader", "subLeader", "member"] },
+  "clan.manageFederation": { clanRoles: ["leader"] },
+  "clan.viewFederationAdmissions": { clanRoles: LEADERSHIP },
+  "clan.delete": { clanRoles: ["leader"] },
+  "clan.addMember": { clanRoles: LEADERSHIP, clanPermission: "manageMembers" },
+  "clan.invite": { clanRoles: LEADERSHIP, clanPermission: "manageMembers" },
+  "clan.manageRequests": { clanRoles: LEADERSHIP, clanPermission: "manageMembers" },
+  "clan.viewInvites": { clanRoles: LEADERSHIP, clanPermission: "manageMembers" },
+  "clan.ban": { clanRoles: LEADERSHIP, clanPermission: "kickMembers" },
+  "clan.viewBans": { clanRoles: LEADERSHIP, clanPermission: "kickMembers" },
+  "clan.banSubLeader": { clanRoles: LEADERSHIP },
+  "clan.viewRoles": { clanRoles: ["leader", "subLeader", "member"] },
+  "clan.manageRoles": { clanRoles: LEADERSHIP, clanPermission: "manageRoles" },
+
+  // Missões QRR
+  "mission.view": { clanRoles: ["leader", "subLeader", "member"] },
+  "mission.create": { clanRoles: LEADERSHIP },
+  "mission.confirm": { clanRoles: ["leader", "subLeader", "member"] },
+  "mission.addStrategy": { clanRoles: ["leader", "subLeader", "member"] },
+  "mission.cancel": { clanRoles: LEADERSHIP, owner: true },
+
+  // Federação
+  "federation.create": {},
+  "federation.update": { federationRoles: FEDERATION_LEADERSHIP },
+  "federation.banner": { federationRoles: FEDERATION_LEADERSHIP },
+  "federation.manageClans": { federationRoles: FEDERATION_LEADERSHIP },
+  "federation.manageLeaders": { federationRoles: ["leaderMax"] },
+  "federation.transfer": { federationRoles: ["leaderMax"] },
+  "federation.diplomacy": { federationRoles: ["leaderMax"] },
+  "federation.delete": { federationRoles: ["leaderMax"] },
+  "federation.chat": { federationRoles: ["leaderMax", "subLeader", "member"] },
+  "federation.sendChat": { federationRoles: FEDERATION_LEADERSHIP },
+  "federation.moderateChat": { federationRoles: FEDERATION_LEADERSHIP },
+  "federation.ban": { federationRoles: FEDERATION_LEADERSHIP },
+  "federation.banSubLeader": { federationRoles: ["leaderMax"] },
+
+  // Mensagens privadas: ADM só lê conversas denunciadas
+  "dm.review": {},
+
+  // Canais de texto
+  "channel.ban": { owner: true },
+  "channel.moderateChat": { owner: true },
+
+  // Canais globais e de voz
+  "globalChannel.create": {},
+  "globalChannel.delete": {},
+  "globalChat.moderate": { moderator: true },
+  "globalChat.manageModerators": {},
+  "voiceChannel.createGlobal": {},
+  "voiceChannel.createClan": { clanRoles: LEADERSHIP, clanPermission: "manageChannels" },
+  "voiceChannel.createFederation": { federationRoles: FEDERATION_LEADERSHIP },
+  "voiceChannel.accessClan": { clanRoles: ["leader", "subLeader", "member"] },
+  "voiceChannel.accessFederation": { federationRoles: ["leaderMax", "subLeader", "member"] },
+  "voiceChannel.delete": { owner: true },
+};
+
+const sameId = (a, b) => a != null && b != null && a.toString() === b.toString();
+
+// Papel do usuário no clã informado ("leader", "subLeader", "member" ou null)
+const clanRoleOf = (clan, userId) => {
+  if (!clan || !userId) return null;
+  if (sameId(clan.leader, userId)) return "leader";
+  if ((clan.subLeaders || []).some(id => sameId(id, userId))) return "subLeader";
+  if ((clan.members || []).some(id => sameId(id, userId))) return "member";
+  return null;
+};
+
+// Cargos customizados atribuídos ao usuário (memberRoles.role guarda o _id ou o nome do cargo)
+const customRolesOf = (clan, userId) => {
+  if (!clan || !userId) return [];
+  const assigned = (clan.memberRoles || [])
+    .filter(mr => sameId(mr.user, userId))
+    .map(mr => mr.role);
+  return (clan.customRoles || []).filter(role =>
+    assigned.includes(role._id.toString()) || assigned.includes(role.name)
+  );
+};
+
+const hasClanPermission = (clan, userId, permission) => {
+  if (!clanRoleOf(clan, userId)) return false;
+  return customRolesOf(clan, userId).some(role => role.permissions && role.permissions[permission]);
+};
+
+// Permissões somadas de todos os cargos customizados do usuário no clã
+const clanPermissionsOf = (clan, userId) => {
+  const roles = customRolesOf(clan, userId);
+  return CLAN_PERMISSIONS.filter(permission =>
+    roles.some(role => role.permissions && role.permissions[permission])
+  );
+};
+
+// Papel do usuário na federação ("leaderMax", "subLeader", "member" ou null)
+const federationRoleOf = (federation, user) => {
+  if (!federation || !user) return null;
+  const userId = user._id || user.id;
+  if ((federation.leadersMax || []).some(id => sameId(id, userId))) return "leaderMax";
+  if ((federation.subLeaders || []).some(id => sameId(id, userId))) return "subLeader";
+  if ((federation.members || []).some(id => sameId(id, userId))) return "member";
+  if (user.clan && (federation.clans || []).some(id => sameId(id, user.clan._id || user.clan))) return "member";
+  return null;
+};
+
+/**
+ * Avalia se o usuário pode executar a ação no contexto informado.
+ * context: { clan, federation, targetUserId, ownerId, moderators }
+ */
+const can = (user, action, context = {}) => {
+  const rule = POLICIES[action];
+  if (!rule) {
+    throw new Error(`Ação de permissão desconhecida: ${action}`);
+  }
+  if (!user) return false;
+
+  const userId = (user._id || user.id).toString();
+
+  if (user.role === "ADM") return true;
+  if (rule.globalRoles && rule.globalRoles.includes(user.role)) return true;
+  if (rule.self && sameId(context.targetUserId, userId)) return true;
+  if (rule.owner && sameId(context.ownerId, userId)) return true;
+  if (rule.moderator && (context.moderators || []).some(id => sameId(id, userId))) return true;
+
+  if (context.clan) {
+    if (rule.clanRoles && rule.clanRoles.includes(clanRoleOf(context.clan, userId))) return true;
+    if (rule.clanPermission && hasClanPermission(context.clan, userId, rule.clanPermission)) return true;
+  }
+
+  if (context.federation && rule.federationRoles) {
+    if (rule.federationRoles.includes(federationRoleOf(context.federation, user))) return true;
+  }
+
+  return false;
+};
+
+module.exports = {
+  POLICIES,
+  CLAN_PERMISSIONS,
+  can,
+  clanRoleOf,
+  customRolesOf,
+  hasClanPermission,
+  clanPermissionsOf,
+  federationRoleOf,
+};
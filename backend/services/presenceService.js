@@ -0,0 +1,34 @@
+/**
+ * Presença em tempo real: sockets conectados por usuário (um por dispositivo).
+ * Mantido pelo handler de conexão do Socket.IO e consultado pelas rotas.
+ */
+
+const connectedUsers = new Map(); // userId -> Set<socket.id>
+
+// Registra o socket. Retorna true se for a primeira conexão do usuário.
+const addConnection = (userId, socketId) => {
+  const key = userId.toString();
+  const isFirst = !connectedUsers.has(key);
+  if (isFirst) connectedUsers.set(key, new Set());
+  connectedUsers.get(key).add(socketId);
+  return isFirst;
+};
+
+// Remove o socket. Retorna true se era a última conexão do usuário.
+const removeConnection = (userId, socketId) => {
+  const key = userId.toString();
+  const sockets = connectedUsers.get(key);
+  if (!sockets) return false;
+  sockets.delete(socketId);
+  if (sockets.size > 0) return false;
+  connectedUsers.delete(key);
+  return true;
+};
+
+const isOnline = (userId) => userId != null && connectedUsers.has(userId.toString());
+
+module.exports = {
+  addConnection,
+  removeConnection,
+  isOnline,
+};
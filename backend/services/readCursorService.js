@@ -0,0 +1,113 @@
+const ReadCursor = require("../models/ReadCursor");
+const Channel = require("../models/Channel");
+const Clan = require("../models/Clan");
+const Federation = require("../models/Federation");
+const DirectConversation = require("../models/DirectConversation");
+const { MESSAGE_KINDS } = require("./messageService");
+const { userRoom } = require("../utils/socketRooms");
+
+/**
+ * Cursores de leitura: um por usuário e conversa (canal, chat do clã, chat da
+ * federação, conversa privada). Não lidas = mensagens de outros usuários, não apagadas, posteriores
+ * ao cursor. O cursor só avança; marcar uma mensagem antiga não "desmarca" nada.
+ */
+
+// Contagens acima disso aparecem como o próprio limite no badge (ex.: "999+")
+const UNREAD_COUNT_LIMIT = 999;
+
+const countUnread = (kind, scopeId, userId, lastReadAt) => {
+  const { Model, scopeField } = MESSAGE_KINDS[kind];
+  const filter = { [scopeField]: scopeId, sender: { $ne: userId }, deleted: false };
+  if (lastReadAt) filter.timestamp = { $gt: lastReadAt };
+  return Model.countDocuments(filter, { limit: UNREAD_COUNT_LIMIT });
+};
+
+const cursorPayload = (kind, scopeId, cursor, unread) => ({
+  chatType: kind,
+  id: String(scopeId),
+  lastReadAt: cursor ? cursor.lastReadAt : null,
+  lastReadMessage: cursor ? cursor.lastReadMessage : null,
+  unread,
+});
+
+/**
+ * Avança o cursor do usuário até a mensagem (o filtro só casa cursores mais
+ * antigos, então leituras fora de ordem entre dispositivos não fazem voltar).
+ * Retorna `{ cursor, advanced }`.
+ */
+const markReadUpTo = async (userId, kind, scopeId, message) => {
+  const key = { user: userId, chatType: kind, scope: scopeId };
+  try {
+    const cursor = await ReadCursor.findOneAndUpdate(
+      { ...key, lastReadAt: { $lt: message.timestamp } },
+      { $set: { lastReadAt: message.timestamp, lastReadMessage: message._id } },
+      { new: true, upsert: true }
+    );
+    return { cursor, advanced: true };
+  } catch (error) {
+    // O cursor já está nesta mensagem ou adiante: o upsert colide com o índice único
+    if (error.code !== 11000) throw error;
+    return { cursor: await ReadCursor.findOne(key), advanced: false };
+  }
+};
+
+// Estado de leitura da conversa para o usuário (cursor + não lidas)
+const readState = async (userId, kind, scopeId, cursor) => {
+  const unread = await countUnread(kind, scopeId, userId, cursor && cursor.lastReadAt);
+  return cursorPayload(kind, scopeId, cursor, unread);
+};
+
+// Envia o novo estado a todos os dispositivos do usuário (evento read_cursor)
+const publishReadState = (io, userId, state) => {
+  if (io) io.to(userRoom(userId)).emit("read_cursor", state);
+};
+
+// Conversas em que o usuário lê mensagens: canais de que é membro, chat do clã e da federação, conversas privadas
+const conversationsOf = async (user) => {
+  const [channels, clan, federation, directs] = await Promise.all([
+    Channel.find({ members: user._id }).select("name"),
+    user.clan ? Clan.findById(user.clan).select("name tag") : null,
+    user.federation ? Federation.findById(user.federation).select("name") : null,
+    DirectConversation.find({ participants: user._id, lastMessageAt: { $ne: null } })
+      .select("participants")
+      .populate("participants", "username"),
+  ]);
+
+  const conversations = channels.map(channel => ({ chatType: "channel", target: channel }));
+  if (clan) conversations.push({ chatType: "clan", target: clan });
+  if (federation) conversations.push({ chatType: "federation", target: federation });
+  for (const direct of directs) {
+    // Na conversa privada, o nome é o do outro participante
+    const other = direct.participants.find(participant => participant && !participant._id.equals(user._id));
+    conversations.push({ chatType: "direct", target: { _id: direct._id, name: other ? other.username : null } });
+  }
+  return conversations;
+};
+
+// Resumo de não lidas por conversa (GET /api/me/unread)
+const unreadSummary = async (user) => {
+  const [conversations, cursors] = await Promise.all([
+    conversationsOf(user),
+    ReadCursor.find({ user: user._id }),
+  ]);
+  const cursorByKey = new Map(cursors.map(cursor => [`${cursor.chatType}:${cursor.scope}`, cursor]));
+
+  const items = await Promise.all(conversations.map(async ({ chatType, target }) => {
+    const cursor = cursorByKey.get(`${chatType}:${target._id}`);
+    const state = await readState(user._id, chatType, target._id, cursor);
+    return { ...state, name: target.name, tag: target.tag || null };
+  }));
+
+  return {
+    total: items.reduce((sum, item) => sum + item.unread, 0),
+    conversations: items,
+  };
+};
+
+module.exports = {
+  UNREAD_COUNT_LIMIT,
+  markReadUpTo,
+  readState,
+  publishReadState,
+  unreadSummary,
+};
@@ -0,0 +1,45 @@
+const User = require("../models/User");
+const Clan = require("../models/Clan");
+const Federation = require("../models/Federation");
+const { can } = require("./policyService");
+const { findActiveBan } = require("./banService");
+
+/**
+ * Regras de inscrição dos sockets nas salas de chat do clã e da federação.
+ * Usado no connect (inscrição automática) e nos eventos subscribe/unsubscribe.
+ */
+
+const SCOPE_MODELS = {
+  clan: Clan,
+  federation: Federation,
+};
+
+// Escopos em que o usuário entra automaticamente ao conectar
+const defaultScopesFor = (user) => {
+  const scopes = [];
+  if (user.clan) scopes.push({ type: "clan", id: user.clan.toString() });
+  if (user.federation) scopes.push({ type: "federation", id: user.federation.toString() });
+  return scopes;
+};
+
+// Verifica se o usuário pode receber o chat do escopo. Retorna uma mensagem de erro ou null.
+const subscriptionError = async (user, type, id) => {
+  const Model = SCOPE_MODELS[type];
+  if (!Model) return "Tipo de sala inválido.";
+  if (!id) return "ID da sala é obrigatório.";
+
+  const target = await Model.findById(id).catch(() => null);
+  if (!target) return "Sala não encontrada.";
+
+  if (await findActiveBan(user._id, type, target._id)) return "Você está banido desta sala.";
+  if (!can(user, `${type}.chat`, { [type]: target })) return "Você não é membro desta sala.";
+  return null;
+};
+
+const loadSocketUser = (userId) => User.findById(userId).select("username role clan federation");
+
+module.exports = {
+  defaultScopesFor,
+  subscriptionError,
+  loadSocketUser,
+};
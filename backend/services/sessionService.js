@@ -0,0 +1,67 @@
+const Session = require("../models/Session");
+const { refreshExpiry, revokeFamily } = require("./tokenService");
+const logger = require("../utils/logger");
+const { sessionRoom } = require("../utils/socketRooms");
+
+// Intervalo mínimo entre atualizações de lastUsedAt (evita uma escrita por requisição)
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Cria a sessão de login a partir dos dados da requisição
+const createSession = async (userId, req) => {
+  return Session.create({
+    user: userId,
+    device: {
+      name: req.body.deviceName || null,
+      platform: req.body.platform || null,
+      userAgent: req.headers["user-agent"] || null,
+    },
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+};
+
+// Retorna a sessão se ainda estiver ativa (não revogada e não expirada)
+const getActiveSession = async (sessionId) => {
+  if (!sessionId) return null;
+  return Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Registra o uso da sessão. `extend` renova a validade (usado na rotação do refresh token).
+const touchSession = async (session, { ip, extend = false } = {}) => {
+  const now = Date.now();
+  if (!extend && now - session.lastUsedAt.getTime() < TOUCH_INTERVAL_MS) return;
+
+  const update = { lastUsedAt: new Date(now) };
+  if (ip) update.ip = ip;
+  if (extend) update.expiresAt = refreshExpiry();
+  await Session.updateOne({ _id: session._id }, { $set: update });
+};
+
+/**
+ * Revoga uma sessão: invalida seus refresh tokens e, se `io` for informado,
+ * desconecta imediatamente os sockets abertos com ela.
+ */
+const revokeSession = async (sessionId, { reason = "logout", io } = {}) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await revokeFamily(sessionId);
+
+  if (io) {
+    io.to(sessionRoom(sessionId)).emit("session_revoked", { sessionId: String(sessionId), reason });
+    io.in(sessionRoom(sessionId)).disconnectSockets(true);
+  }
+  logger.info(`[AUTH] Sessão ${sessionId} revogada (${reason}).`);
+};
+
+module.exports = {
+  createSession,
+  getActiveSession,
+  touchSession,
+  revokeSession,
+};
@@ -0,0 +1,81 @@
+const User = require("../models/User");
+const logger = require("../utils/logger");
+const { userRoom } = require("../utils/socketRooms");
+
+const CLEARED_SUSPENSION = {
+  suspended: false,
+  suspensionReason: null,
+  suspensionExpiry: null,
+  suspendedBy: null,
+  suspendedAt: null,
+};
+
+// Corpo de erro padrão devolvido a usuários suspensos (API, login e socket)
+const suspensionPayload = (user) => ({
+  msg: "Conta suspensa",
+  suspended: true,
+  reason: user.suspensionReason || null,
+  expiresAt: user.suspensionExpiry || null,
+});
+
+/**
+ * Verifica se o usuário está suspenso. Suspensões vencidas são removidas
+ * na hora (e o documento em memória é atualizado). Retorna o payload de erro
+ * ou null se o usuário pode prosseguir.
+ */
+const checkSuspension = async (user) => {
+  if (!user || !user.suspended) return null;
+
+  if (user.suspensionExpiry && user.suspensionExpiry <= new Date()) {
+    await User.updateOne({ _id: user._id }, { $set: CLEARED_SUSPENSION });
+    Object.assign(user, CLEARED_SUSPENSION);
+    logger.info(`[SUSPENSION] Suspensão do usuário ${user._id} expirou e foi removida.`);
+    return null;
+  }
+
+  return suspensionPayload(user);
+};
+
+// Aplica a suspensão e derruba os sockets ativos do usuário
+const suspendUser = async (userId, { reason, expiresAt, suspendedBy, io }) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    {
+      suspended: true,
+      suspensionReason: reason || null,
+      suspensionExpiry: expiresAt || null,
+      suspendedBy,
+      suspendedAt: new Date(),
+    },
+    { new: true }
+  ).select("-password");
+
+  if (user && io) {
+    io.to(userRoom(user._id)).emit("account_suspended", suspensionPayload(user));
+    io.in(userRoom(user._id)).disconnectSockets(true);
+  }
+  return user;
+};
+
+const unsuspendUser = async (userId) => {
+  return User.findByIdAndUpdate(userId, CLEARED_SUSPENSION, { new: true }).select("-password");
+};
+
+// Remove em lote as suspensões vencidas (executado periodicamente pelo servidor)
+const liftExpiredSuspensions = async () => {
+  const result = await User.updateMany(
+    { suspended: true, suspensionExpiry: { $ne: null, $lte: new Date() } },
+    { $set: CLEARED_SUSPENSION }
+  );
+  if (result.modifiedCount > 0) {
+    logger.info(`[SUSPENSION] ${result.modifiedCount} suspensão(ões) expirada(s) removida(s).`);
+  }
+};
+
+module.exports = {
+  suspensionPayload,
+  checkSuspension,
+  suspendUser,
+  unsuspendUser,
+  liftExpiredSuspensions,
+};
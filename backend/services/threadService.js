@@ -0,0 +1,109 @@
+const { MESSAGE_KINDS, previewOf, findScopedMessage, presentMessage, broadcastMessageChange } = require("./messageService");
+const { pageMessages } = require("./messageHistoryService");
+
+/**
+ * Respostas em fio e citações, comuns a todos os chats.
+ *
+ * - Resposta (replyToId): entra no fio da mensagem respondida (ou no fio a que
+ *   ela pertence) e sai do chat principal; a raiz guarda replyCount e lastReplyAt
+ *   (respostas apagadas ficam no fio como marcador, mas saem da contagem).
+ * - Citação (quoteId): mensagem normal do chat principal que mostra a original.
+ *
+ * Nos dois casos a mensagem guarda em `quoted` um resumo da original.
+ */
+
+// Resumo da mensagem respondida ou citada
+const quotedSummary = (kind, message) => ({
+  message: message._id,
+  sender: message.sender && message.sender._id ? message.sender._id : message.sender,
+  preview: previewOf(kind, message),
+  deleted: message.deleted,
+});
+
+/**
+ * Campos de resposta/citação para uma nova mensagem do escopo, a partir do
+ * corpo do envio. Retorna `{ error }` ou `{ fields }` (vazio sem replyToId/quoteId).
+ */
+const referenceFields = async (kind, scopeId, { replyToId, quoteId } = {}) => {
+  if (!replyToId && !quoteId) return { fields: {} };
+  if (replyToId && quoteId) return { error: "Informe replyToId ou quoteId, não os dois." };
+
+  const original = await findScopedMessage(kind, scopeId, replyToId || quoteId);
+  if (!original) return { error: "Mensagem respondida não encontrada." };
+  if (original.deleted) return { error: "Não é possível responder ou citar uma mensagem apagada." };
+
+  const fields = { quoted: quotedSummary(kind, original) };
+  // Resposta a uma resposta continua no mesmo fio
+  if (replyToId) fields.threadRoot = original.threadRoot || original._id;
+  return { fields };
+};
+
+/**
+ * Depois de gravar uma resposta: atualiza os contadores da raiz e avisa a sala
+ * com thread_reply. Sem fio não faz nada. Retorna a raiz atualizada ou null.
+ */
+const registerReply = async (io, kind, message) => {
+  if (!message.threadRoot) return null;
+  const { Model, rooms } = MESSAGE_KINDS[kind];
+
+  const root = await Model.findByIdAndUpdate(
+    message.threadRoot,
+    { $inc: { replyCount: 1 }, $max: { lastReplyAt: message.timestamp } },
+    { new: true }
+  );
+  if (root && io) {
+    io.to(rooms(root)).emit("thread_reply", {
+      chatType: kind,
+      threadRoot: root._id,
+      replyCount: root.replyCount,
+      lastReplyAt: root.lastReplyAt,
+      message: presentMessage(message),
+    });
+  }
+  return root;
+};
+
+/**
+ * Depois de apagar uma resposta: tira a resposta de replyCount, recalcula
+ * lastReplyAt pela última resposta não apagada e avisa a sala com
+ * message_updated da raiz. Sem fio não faz nada. Retorna a raiz atualizada ou null.
+ */
+const unregisterReply = async (io, kind, message) => {
+  if (!message.threadRoot) return null;
+  const { Model } = MESSAGE_KINDS[kind];
+
+  const last = await Model.findOne({ threadRoot: message.threadRoot, deleted: false })
+    .sort({ timestamp: -1 })
+    .select("timestamp");
+  const root = await Model.findByIdAndUpdate(
+    message.threadRoot,
+    { $inc: { replyCount: -1 }, $set: { lastReplyAt: last ? last.timestamp : null } },
+    { new: true }
+  );
+  if (root) broadcastMessageChange(io, kind, "message_updated", root);
+  return root;
+};
+
+/**
+ * Fio de uma mensagem: a raiz e uma página das respostas (mesma paginação do
+ * histórico). Pedir o fio de uma resposta devolve o fio inteiro a que ela pertence.
+ * Retorna `{ error, status }` ou `{ root, messages, pagination }`.
+ */
+const loadThread = async (kind, scopeId, messageId, query, viewerId) => {
+  let root = await findScopedMessage(kind, scopeId, messageId);
+  if (root && root.threadRoot) root = await findScopedMessage(kind, scopeId, root.threadRoot);
+  if (!root) return { error: "Mensagem não encontrada.", status: 404 };
+
+  const { error, messages, pagination } = await pageMessages(kind, scopeId, query, viewerId, { threadRoot: root._id });
+  if (error) return { error, status: 400 };
+
+  await root.populate("sender", "username avatar");
+  return { root: presentMessage(root, viewerId), messages, pagination };
+};
+
+module.exports = {
+  referenceFields,
+  registerReply,
+  unregisterReply,
+  loadThread,
+};
@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+const logger = require("../utils/logger");
+require("dotenv").config();
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Gera o access token JWT (curta duração), vinculado à sessão de login
+const generateAccessToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: String(sessionId) }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+};
+
+// Cria e persiste um refresh token opaco. A família é o ID da sessão de login.
+const issueRefreshToken = async (userId, { family, ip } = {}) => {
+  const token = crypto.randomBytes(48).toString("hex");
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family: String(family),
+    expiresAt: refreshExpiry(),
+    createdByIp: ip || null,
+  });
+  return token;
+};
+
+// Par de tokens entregue no login/registro
+const issueTokenPair = async (userId, { sessionId, ip } = {}) => {
+  const refreshToken = await issueRefreshToken(userId, { family: sessionId, ip });
+  return {
+    token: generateAccessToken(userId, sessionId),
+    refreshToken,
+    sessionId: String(sessionId),
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  };
+};
+
+// Revoga todos os tokens ainda válidos de uma família
+const revokeFamily = async (family) => {
+  await RefreshToken.updateMany(
+    { family: String(family), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+/**
+ * Troca um refresh token por um novo par (rotação).
+ * Retorna null quando o token é desconhecido ou expirado, e
+ * `{ reused: true, sessionId }` quando um token já trocado é reapresentado
+ * (vazamento): nesse caso a família é revogada e cabe ao chamador encerrar a sessão.
+ */
+const rotateRefreshToken = async (token, { ip } = {}) => {
+  const tokenHash = hashToken(token);
+  const newToken = crypto.randomBytes(48).toString("hex");
+  const newHash = hashToken(newToken);
+
+  // Marca como usado de forma atômica para evitar duas trocas concorrentes
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), replacedBy: newHash } },
+    { new: false }
+  );
+
+  if (!current) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (existing && existing.revokedAt) {
+      logger.warn(`[AUTH] Reuso de refresh token detectado para usuário ${existing.user}. Revogando família ${existing.family}.`);
+      await revokeFamily(existing.family);
+      return { reused: true, userId: existing.user, sessionId: existing.family };
+    }
+    return null;
+  }
+
+  await RefreshToken.create({
+    user: current.user,
+    tokenHash: newHash,
+    family: current.family,
+    expiresAt: refreshExpiry(),
+    createdByIp: ip || null,
+  });
+
+  return {
+    userId: current.user,
+    sessionId: current.family,
+    token: generateAccessToken(current.user, current.family),
+    refreshToken: newToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  };
+};
+
+module.exports = {
+  refreshExpiry,
+  generateAccessToken,
+  issueRefreshToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeFamily,
+};
@@ -0,0 +1,102 @@
+const { spawn } = require("child_process");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Notas de voz: o áudio recebido é convertido para Opus/OGG mono pelo ffmpeg
+ * local (FFMPEG_PATH) e ganha duração e uma prévia da forma de onda, calculadas
+ * na mesma passada a partir do PCM decodificado.
+ */
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const MAX_DURATION_SECONDS = Number(process.env.VOICE_NOTE_MAX_SECONDS) || 300;
+const MIN_DURATION_SECONDS = 0.5;
+const BITRATE = process.env.VOICE_NOTE_BITRATE || "24k";
+const CODEC = "opus";
+const WAVEFORM_BARS = 64;
+// PCM usado só para medir duração e forma de onda
+const PCM_SAMPLE_RATE = 8000;
+const FFMPEG_TIMEOUT_MS = 60 * 1000;
+
+const runFfmpeg = (args) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(FFMPEG_PATH, args, { timeout: FFMPEG_TIMEOUT_MS, stdio: ["ignore", "pipe", "pipe"] });
+    const stdout = [];
+    let stderr = "";
+    child.stdout.on("data", chunk => stdout.push(chunk));
+    // Só o fim do log interessa para diagnosticar a falha
+    child.stderr.on("data", chunk => { stderr = (stderr + chunk).slice(-2000); });
+    child.on("error", reject);
+    child.on("close", (code, signal) => {
+      if (code === 0) return resolve(Buffer.concat(stdout));
+      const error = new Error(`ffmpeg saiu com ${signal || code}: ${stderr.trim()}`);
+      error.timedOut = signal === "SIGTERM";
+      reject(error);
+    });
+  });
+
+// Picos do PCM (s16le mono) em WAVEFORM_BARS barras de 0 a 100, relativos ao maior pico
+const computeWaveform = (pcm) => {
+  const samples = new Int16Array(pcm.buffer, pcm.byteOffset, Math.floor(pcm.length / 2));
+  const bucketSize = Math.max(1, Math.ceil(samples.length / WAVEFORM_BARS));
+  const peaks = [];
+  for (let start = 0; start < samples.length && peaks.length < WAVEFORM_BARS; start += bucketSize) {
+    let peak = 0;
+    for (let i = start; i < Math.min(start + bucketSize, samples.length); i++) {
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    peaks.push(peak);
+  }
+  const loudest = Math.max(0, ...peaks);
+  return peaks.map(peak => (loudest ? Math.round((peak / loudest) * 100) : 0));
+};
+
+/**
+ * Converte o áudio (buffer de qualquer formato que o ffmpeg leia).
+ * Retorna `{ error, status? }` ou `{ audio, duration, codec, waveform }`.
+ */
+const transcodeVoiceNote = async (buffer) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "voice-note-"));
+  const input = path.join(dir, "input");
+  const output = path.join(dir, "output.ogg");
+
+  try {
+    await fs.writeFile(input, buffer);
+
+    let pcm;
+    try {
+      // Lê no máximo 1s além do limite: o suficiente para recusar áudios longos sem processá-los inteiros
+      pcm = await runFfmpeg([
+        "-hide_banner", "-nostdin", "-loglevel", "error",
+        "-t", String(MAX_DURATION_SECONDS + 1), "-i", input,
+        "-map", "0:a:0", "-vn", "-ac", "1", "-c:a", "libopus", "-b:a", BITRATE, "-application", "voip",
+        "-map_metadata", "-1", "-f", "ogg", output,
+        "-map", "0:a:0", "-ac", "1", "-ar", String(PCM_SAMPLE_RATE), "-f", "s16le", "pipe:1",
+      ]);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return { error: "Conversão de áudio indisponível no servidor.", status: 503 };
+      }
+      console.error("Erro ao converter nota de voz:", error.message);
+      return { error: error.timedOut ? "A conversão do áudio demorou demais." : "Não foi possível processar o áudio." };
+    }
+
+    const duration = Math.round((pcm.length / 2 / PCM_SAMPLE_RATE) * 100) / 100;
+    if (duration > MAX_DURATION_SECONDS) {
+      return { error: `A nota de voz deve ter no máximo ${MAX_DURATION_SECONDS} segundos.` };
+    }
+    if (duration < MIN_DURATION_SECONDS) {
+      return { error: "Nota de voz vazia ou curta demais." };
+    }
+
+    return { audio: await fs.readFile(output), duration, codec: CODEC, waveform: computeWaveform(pcm) };
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  MAX_DURATION_SECONDS,
+  transcodeVoiceNote,
+};
@@ -0,0 +1,61 @@
+/**
+ * Identifica o tipo real de um arquivo pelos primeiros bytes (assinatura),
+ * sem confiar na extensão nem no Content-Type enviados pelo cliente.
+ */
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+// Ordem importa: assinaturas mais específicas primeiro
+const SIGNATURES = [
+  { kind: "image", mimeType: "image/jpeg", ext: ".jpg", test: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+  { kind: "image", mimeType: "image/png", ext: ".png", test: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { kind: "image", mimeType: "image/gif", ext: ".gif", test: (b) => startsWith(b, ascii("GIF87a")) || startsWith(b, ascii("GIF89a")) },
+  { kind: "image", mimeType: "image/webp", ext: ".webp", test: (b) => startsWith(b, ascii("RIFF")) && startsWith(b, ascii("WEBP"), 8) },
+
+  { kind: "audio", mimeType: "audio/ogg", ext: ".ogg", test: (b) => startsWith(b, ascii("OggS")) },
+  { kind: "audio", mimeType: "audio/wav", ext: ".wav", test: (b) => startsWith(b, ascii("RIFF")) && startsWith(b, ascii("WAVE"), 8) },
+  { kind: "audio", mimeType: "audio/mpeg", ext: ".mp3", test: (b) => startsWith(b, ascii("ID3")) },
+  // ADTS (AAC cru): sincronismo 0xFFF com layer 00
+  { kind: "audio", mimeType: "audio/aac", ext: ".aac", test: (b) => b.length > 1 && b[0] === 0xff && (b[1] & 0xf6) === 0xf0 },
+  // Quadro MPEG de áudio sem tag ID3
+  { kind: "audio", mimeType: "audio/mpeg", ext: ".mp3", test: (b) => b.length > 1 && b[0] === 0xff && (b[1] & 0xe0) === 0xe0 },
+  { kind: "audio", mimeType: "audio/mp4", ext: ".m4a", test: (b) => startsWith(b, ascii("ftyp"), 4) && (startsWith(b, ascii("M4A "), 8) || startsWith(b, ascii("M4B "), 8)) },
+  // Contêiner Matroska/WebM (gravações do MediaRecorder dos navegadores)
+  { kind: "audio", mimeType: "audio/webm", ext: ".webm", test: (b) => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3]) },
+
+  { kind: "file", mimeType: "application/pdf", ext: ".pdf", test: (b) => startsWith(b, ascii("%PDF-")) },
+  { kind: "file", mimeType: "application/zip", ext: ".zip", test: (b) => startsWith(b, [0x50, 0x4b, 0x03, 0x04]) },
+  { kind: "file", mimeType: "application/x-7z-compressed", ext: ".7z", test: (b) => startsWith(b, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]) },
+  { kind: "file", mimeType: "application/gzip", ext: ".gz", test: (b) => startsWith(b, [0x1f, 0x8b]) },
+  { kind: "file", mimeType: "video/mp4", ext: ".mp4", test: (b) => startsWith(b, ascii("ftyp"), 4) },
+];
+
+// Texto puro não tem assinatura: aceita UTF-8 válido sem bytes nulos
+const isPlainText = (buffer) => {
+  const sample = buffer.subarray(0, 4096);
+  if (!sample.length || sample.includes(0)) return false;
+  try {
+    // stream: true tolera um caractere multibyte cortado no fim da amostra
+    new TextDecoder("utf-8", { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Retorna `{ kind, mimeType, ext }` (kind: image, audio ou file) ou null se o
+ * formato não for aceito.
+ */
+const sniffFile = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || !buffer.length) return null;
+  const match = SIGNATURES.find(signature => signature.test(buffer));
+  if (match) return { kind: match.kind, mimeType: match.mimeType, ext: match.ext };
+  if (isPlainText(buffer)) return { kind: "file", mimeType: "text/plain", ext: ".txt" };
+  return null;
+};
+
+module.exports = { sniffFile };
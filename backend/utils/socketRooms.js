@@ -0,0 +1,60 @@
+// Nomes das salas Socket.IO usadas pelo backend
+
+// Todos os sockets de um usuário (um por dispositivo conectado)
+const userRoom = (userId) => `user_${userId}`;
+
+// Sockets abertos com uma sessão de login
+const sessionRoom = (sessionId) => `session_${sessionId}`;
+
+// Chat em tempo real do clã e da federação
+const clanRoom = (clanId) => `clan_${clanId}`;
+const federationRoom = (federationId) => `federation_${federationId}`;
+
+// Mensagens em tempo real de um canal (join_channel / send_message)
+const channelRoom = (channelId) => `channel_${channelId}`;
+
+// Chat de um canal global de texto (join_global_chat)
+const globalChatRoom = (channelId) => `global_${channelId}`;
+
+const ROOM_BUILDERS = {
+  clan: clanRoom,
+  federation: federationRoom,
+  channel: channelRoom,
+  global: globalChatRoom,
+};
+
+// Sala de um escopo ("clan", "federation", "channel" ou "global")
+const scopeRoom = (type, id) => ROOM_BUILDERS[type](id);
+
+// Inscreve todos os sockets do usuário na sala do escopo (ex.: ao entrar no clã)
+const joinScopeRoom = (io, userId, type, id) => {
+  if (!io || !id) return;
+  io.in(userRoom(userId)).socketsJoin(scopeRoom(type, id));
+};
+
+// Remove todos os sockets do usuário da sala do escopo e avisa o cliente
+const leaveScopeRoom = (io, userId, type, id) => {
+  if (!io || !id) return;
+  io.in(userRoom(userId)).socketsLeave(scopeRoom(type, id));
+  io.to(userRoom(userId)).emit("unsubscribed", { type, id: String(id) });
+};
+
+// Esvazia a sala do escopo (ex.: clã ou federação deletada)
+const closeScopeRoom = (io, type, id) => {
+  if (!io || !id) return;
+  io.to(scopeRoom(type, id)).emit("unsubscribed", { type, id: String(id) });
+  io.socketsLeave(scopeRoom(type, id));
+};
+
+module.exports = {
+  userRoom,
+  sessionRoom,
+  clanRoom,
+  federationRoom,
+  channelRoom,
+  globalChatRoom,
+  scopeRoom,
+  joinScopeRoom,
+  leaveScopeRoom,
+  closeScopeRoom,
+};